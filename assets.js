@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Static files and assets. Files under static/ are copied to the output directory as
+// they are. Files under assets/ are processed: CSS has its local @imports inlined, CSS
+// and JS are minified, bundles declared in config.assets.bundles join several files
+// into one, and every result gets a content hash in its name (styles.3f2a9c81d0.css)
+// so browsers can cache it for good. Templates link them with {{ asset "styles.css" }}.
+// Files whose name starts with `_` are only used through @import or a bundle.
+
+// Function to list files under a directory recursively, as posix paths relative to it
+async function listFiles(dir, prefix = '') {
+  if (!(await fs.pathExists(dir))) return [];
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+    } else if (entry.isFile()) {
+      files.push(`${prefix}${entry.name}`);
+    }
+  }
+  return files.sort();
+}
+
+// Function to list the files of static/ with a hash of their size and modification time
+// Returns [{ path (relative, posix), file (on disk), hash }]
+async function listStaticFiles(dir) {
+  const files = [];
+  for (const relativePath of await listFiles(dir)) {
+    const file = path.join(dir, relativePath);
+    const stat = await fs.stat(file);
+    files.push({ path: relativePath, file, hash: `${stat.size}:${stat.mtimeMs}` });
+  }
+  return files;
+}
+
+// Function to inline the local @imports of a CSS file, each file once
+async function inlineCssImports(file, seen = new Set()) {
+  const resolved = path.resolve(file);
+  if (seen.has(resolved)) return '';
+  seen.add(resolved);
+
+  const css = await fs.readFile(file, 'utf-8');
+  const pattern = /@import\s+(?:url\(\s*)?(["'])([^"']+)\1\s*\)?\s*;/g;
+  let output = '';
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(css))) {
+    const target = match[2];
+    output += css.slice(position, match.index);
+    position = pattern.lastIndex;
+
+    // Remote stylesheets stay as @import
+    if (/^([a-z]+:)?\/\//i.test(target)) {
+      output += match[0];
+      continue;
+    }
+    const importPath = path.join(path.dirname(file), target);
+    if (!(await fs.pathExists(importPath))) {
+      throw new Error(`${file}: @import "${target}" not found`);
+    }
+    output += await inlineCssImports(importPath, seen);
+  }
+  return output + css.slice(position);
+}
+
+// Function to minify CSS: comments and unneeded whitespace go, strings are left alone
+function minifyCss(css) {
+  return css
+    .split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/\*[\s\S]*?(?:\*\/|$))/)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part
+          .replace(/\s+/g, ' ')
+          .replace(/\s*([{};,>])\s*/g, '$1')
+          .replace(/:\s+/g, ':');
+      }
+      return part.startsWith('/*') ? '' : part; // A comment or a quoted string
+    })
+    .join('')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+// Function to minify JavaScript with terser; on a syntax error the file is kept as is
+async function minifyJs(code, name) {
+  const { minify } = require('terser');
+  try {
+    const result = await minify(code, { compress: true, mangle: true });
+    return result.code;
+  } catch (error) {
+    console.warn(`Could not minify ${name}, writing it unminified: ${error.message}`);
+    return code;
+  }
+}
+
+// Function to read the source of one asset file: CSS with its @imports inlined, anything else as is
+async function readAssetFile(file) {
+  return path.extname(file).toLowerCase() === '.css' ? await inlineCssImports(file) : await fs.readFile(file);
+}
+
+// Function to get the fingerprinted path of an asset: css/styles.css -> css/styles.3f2a9c81d0.css
+function fingerprintPath(name, hash) {
+  const extension = path.posix.extname(name);
+  return `${name.slice(0, name.length - extension.length)}.${hash.slice(0, 10)}${extension}`;
+}
+
+// Function to build every asset: the bundles of options.bundles ({ 'main.js': ['js/a.js', ...] })
+// and every other file in the assets directory not starting with `_`
+// Returns [{ name, path (output, relative), content, hash (sha256 of the content) }]
+async function buildAssets(dir, options) {
+  const bundles = { ...(options.bundles || {}) };
+  const bundled = new Set(Object.values(bundles).flat());
+
+  for (const file of await listFiles(dir)) {
+    if (bundled.has(file) || path.posix.basename(file).startsWith('_')) continue;
+    if (!(file in bundles)) bundles[file] = [file];
+  }
+
+  const assets = [];
+  for (const name of Object.keys(bundles).sort()) {
+    const extension = path.posix.extname(name).toLowerCase();
+    const parts = [];
+    for (const file of bundles[name]) {
+      const filePath = path.join(dir, file);
+      if (!(await fs.pathExists(filePath))) {
+        throw new Error(`Asset ${file} (in ${name}) not found in ${dir}/`);
+      }
+      parts.push(await readAssetFile(filePath));
+    }
+
+    let content;
+    if (extension === '.css') {
+      content = parts.join('\n');
+      if (options.minify) content = minifyCss(content);
+    } else if (extension === '.js') {
+      content = parts.map(String).join(';\n');
+      if (options.minify) content = await minifyJs(content, name);
+    } else {
+      content = parts.length === 1 ? parts[0] : Buffer.concat(parts.map(part => Buffer.from(part)));
+    }
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    assets.push({ name, path: options.fingerprint ? fingerprintPath(name, hash) : name, content, hash });
+  }
+  return assets;
+}
+
+// Function to find earlier fingerprinted copies of the assets in the output directory
+// (styles.<hash>.css next to the current one), e.g. left behind by a --force build
+async function findOldFingerprints(outputDir, assets) {
+  const oldFiles = [];
+  for (const asset of assets) {
+    if (asset.path === asset.name) continue;
+
+    const extension = path.posix.extname(asset.name);
+    const baseName = path.posix.basename(asset.name, extension);
+    const dir = path.join(outputDir, path.posix.dirname(asset.path));
+    if (!(await fs.pathExists(dir))) continue;
+
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(baseName)}\\.[0-9a-f]{10}${escape(extension)}$`);
+    for (const entry of await fs.readdir(dir)) {
+      if (pattern.test(entry) && entry !== path.posix.basename(asset.path)) {
+        oldFiles.push(path.join(dir, entry));
+      }
+    }
+  }
+  return oldFiles;
+}
+
+module.exports = {
+  listFiles,
+  listStaticFiles,
+  buildAssets,
+  findOldFingerprints,
+};
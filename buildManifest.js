@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the manifest layout changes so old manifests trigger a full build
+const MANIFEST_VERSION = 1;
+
+// Function to create an empty manifest
+//   templates:   hash of each layout/partial by name
+//   dataSources: { [source]: { hash, files } } for imported data (files only when materialized)
+//   pages:       { [content file]: { hash, output, post, tags } } for parsed markdown and virtual pages
+//   outputs:     { [output path]: hash of everything the output was rendered from }
+function createManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    templates: {},
+    dataSources: {},
+    pages: {},
+    outputs: {}
+  };
+}
+
+// Function to load a manifest, falling back to an empty one if missing or outdated
+async function loadManifest(filePath) {
+  try {
+    if (await fs.pathExists(filePath)) {
+      const manifest = await fs.readJson(filePath);
+      if (manifest && manifest.version === MANIFEST_VERSION) {
+        return { ...createManifest(), ...manifest };
+      }
+      console.log('Build manifest is outdated, doing a full build');
+    }
+  } catch (error) {
+    console.warn(`Could not read build manifest ${filePath}: ${error.message}`);
+  }
+  return createManifest();
+}
+
+// Function to persist a manifest
+async function saveManifest(filePath, manifest) {
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, manifest);
+}
+
+// Function to hash any number of strings or JSON-serializable values
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha1');
+  parts.forEach(part => {
+    hash.update(typeof part === 'string' ? part : JSON.stringify(part === undefined ? null : part));
+    hash.update('\u0000');
+  });
+  return hash.digest('hex');
+}
+
+module.exports = {
+  createManifest,
+  loadManifest,
+  saveManifest,
+  hashContent,
+};
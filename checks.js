@@ -0,0 +1,261 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { listFiles } = require('./assets');
+const { toDate } = require('./templateEngine');
+
+// Checks of a build, reported by `node ssg.js check`: front matter against the schemas of
+// config.check.schemas, templates (missing layouts and partials, `{{ values }}` that are
+// undefined) and the generated HTML (links to pages, files and anchors that don't exist).
+// Problems are issues: { level ('error' or 'warning'), kind, message, where, count }.
+// Errors make `check` exit with code 1, warnings only with --strict.
+
+// Function to create a log of issues; the same problem in the same place is kept once, with a count
+// With print, every new issue is also printed as a warning right away (normal builds)
+function createIssueLog({ print = false } = {}) {
+  const issues = new Map();
+
+  // Function to record an issue
+  function add(level, kind, message, where = '') {
+    const key = `${kind}\n${message}\n${where}`;
+    const issue = issues.get(key);
+    if (issue) {
+      issue.count++;
+      return;
+    }
+    issues.set(key, { level, kind, message, where, count: 1 });
+    if (print) console.warn(where ? `${where}: ${message}` : message);
+  }
+
+  // Function to add issues collected elsewhere (e.g. by a render worker)
+  function merge(list) {
+    for (const issue of list) {
+      const key = `${issue.kind}\n${issue.message}\n${issue.where}`;
+      if (issues.has(key)) {
+        issues.get(key).count += issue.count;
+      } else {
+        issues.set(key, { ...issue });
+      }
+    }
+  }
+
+  // Function to return every issue and start over
+  function take() {
+    const list = Array.from(issues.values());
+    issues.clear();
+    return list;
+  }
+
+  return { add, merge, take };
+}
+
+// Function to find the front matter schema of a section: its own, its nearest parent's, then '/'
+function findSchema(schemas = {}, section) {
+  let current = section;
+  while (current) {
+    if (schemas[current]) return schemas[current];
+    current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
+  }
+  return schemas['/'] || null;
+}
+
+// Checks of each type a schema field can declare
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => toDate(value) !== null,
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+};
+
+// Function to check front matter against a schema: { field: { required, type, enum } }
+// The values of a list are each checked against enum. Returns a message per problem
+function validateFrontMatter(data, schema) {
+  if (!schema) return [];
+  const problems = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) problems.push(`"${field}" is required`);
+      continue;
+    }
+
+    if (rule.type) {
+      const check = TYPE_CHECKS[rule.type];
+      if (!check) {
+        problems.push(`"${field}" has an unknown type "${rule.type}" in config.check.schemas`);
+      } else if (!check(value)) {
+        problems.push(`"${field}" should be a ${rule.type}, got ${JSON.stringify(value)}`);
+      }
+    }
+
+    if (Array.isArray(rule.enum)) {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.filter(item => !rule.enum.includes(item));
+      if (invalid.length > 0) {
+        problems.push(`"${field}" should be one of ${rule.enum.map(item => JSON.stringify(item)).join(', ')}, got ${invalid.map(item => JSON.stringify(item)).join(', ')}`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Function to decode a URL path or fragment, keeping it as is when it is malformed
+function decodeURL(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", '#96': '`', '#61': '=' };
+
+// Function to find the URLs a page links to: href, src and srcset of its elements
+// Scripts and comments are left out, since URLs in them are not links
+function extractLinks(html) {
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, '$1');
+  const links = [];
+  const tagPattern = /<[a-z][a-z0-9-]*\b[^>]*>/gi;
+  const attributePattern = /\s(href|src|srcset)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+  for (const [tag] of markup.matchAll(tagPattern)) {
+    for (const match of tag.matchAll(attributePattern)) {
+      const value = (match[2] ?? match[3] ?? match[4]).replace(/&(amp|lt|gt|quot|#39|#96|#61);/g, (entity, name) => HTML_ENTITIES[name]);
+      if (match[1].toLowerCase() === 'srcset') {
+        value.split(',').forEach(candidate => {
+          const url = candidate.trim().split(/\s+/)[0];
+          if (url) links.push(url);
+        });
+      } else {
+        links.push(value);
+      }
+    }
+  }
+  return links;
+}
+
+// Function to find the ids an anchor can point at in a page
+function extractAnchors(html) {
+  const anchors = new Set();
+  for (const match of html.matchAll(/\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+    anchors.add(match[1] ?? match[2] ?? match[3]);
+  }
+  return anchors;
+}
+
+// Function to check every link in the HTML files of the output directory
+// Links are resolved like a browser would, against baseURL; links to other sites are not followed.
+// options.ignore lists paths (relative to baseURL) whose links are not checked
+// Returns issues for links to files that don't exist, anchors missing from their page and
+// links outside the base path (e.g. /tags/ on a site deployed under /yuushacms/)
+async function checkLinks(outputDir, config, { ignore = [] } = {}) {
+  const files = new Set(await listFiles(outputDir));
+  const origin = config.origin || 'http://localhost';
+  const broken = new Map(); // Message (with the link as written) -> { kind, message, pages }
+  const anchorCache = new Map();
+
+  // Function to record a broken link from a page
+  const addBroken = (kind, message, page) => {
+    if (!broken.has(message)) broken.set(message, { kind, message, pages: [] });
+    broken.get(message).pages.push(page);
+  };
+
+  // Function to find the output file a site path is served from, if any
+  const findFile = relativePath => {
+    if (relativePath === '' || relativePath.endsWith('/')) {
+      return files.has(`${relativePath}index.html`) ? `${relativePath}index.html` : null;
+    }
+    if (files.has(relativePath)) return relativePath;
+    return files.has(`${relativePath}/index.html`) ? `${relativePath}/index.html` : null;
+  };
+
+  // Function to read the anchors of an output file once
+  const anchorsOf = async file => {
+    if (!anchorCache.has(file)) {
+      anchorCache.set(file, extractAnchors(await fs.readFile(path.join(outputDir, file), 'utf-8')));
+    }
+    return anchorCache.get(file);
+  };
+
+  for (const page of files) {
+    if (!page.endsWith('.html')) continue;
+    const html = await fs.readFile(path.join(outputDir, page), 'utf-8');
+    const pageURL = new URL(config.basePath + page.split('/').map(encodeURIComponent).join('/'), origin);
+
+    for (const link of new Set(extractLinks(html))) {
+      let url;
+      try {
+        url = new URL(link, pageURL);
+      } catch (error) {
+        addBroken('link', `Invalid URL: ${link}`, page);
+        continue;
+      }
+      if (url.origin !== pageURL.origin || !/^https?:$/.test(url.protocol)) continue; // Another site, mailto:, data:, ...
+
+      const pathname = decodeURL(url.pathname);
+      if (!pathname.startsWith(config.basePath)) {
+        addBroken('link', `Link outside the base path ${config.basePath}: ${link}`, page);
+        continue;
+      }
+
+      const relativePath = pathname.slice(config.basePath.length);
+      if (ignore.some(prefix => relativePath.startsWith(prefix.replace(/^\/+/, '')))) continue;
+
+      const target = findFile(relativePath);
+      if (!target) {
+        addBroken('link', `Broken link: ${link}`, page);
+        continue;
+      }
+
+      const anchor = decodeURL(url.hash.slice(1));
+      if (anchor && anchor !== 'top' && target.endsWith('.html') && !(await anchorsOf(target)).has(anchor)) {
+        addBroken('anchor', `Missing anchor: ${link}`, page);
+      }
+    }
+  }
+
+  // One issue per broken target, placed on the first page linking to it
+  return Array.from(broken.values()).map(({ kind, message, pages }) => ({
+    level: 'error',
+    kind,
+    message: pages.length > 1 ? `${message} (also on ${pages.length - 1} other page${pages.length > 2 ? 's' : ''})` : message,
+    where: pages[0],
+    count: 1
+  }));
+}
+
+// Function to print the issues of a check, errors first, grouped by kind
+// Returns { errors, warnings } (how many of each)
+function printReport(issues) {
+  const counts = { errors: 0, warnings: 0 };
+  console.log('--- Check ---');
+
+  for (const level of ['error', 'warning']) {
+    const matching = issues
+      .filter(issue => issue.level === level)
+      .sort((a, b) => (a.kind < b.kind ? -1 : a.kind > b.kind ? 1 : 0) || (a.where < b.where ? -1 : a.where > b.where ? 1 : 0));
+    if (matching.length === 0) continue;
+
+    counts[`${level}s`] = matching.length;
+    console.log(`${level === 'error' ? 'Errors' : 'Warnings'} (${matching.length}):`);
+    matching.forEach(({ kind, message, where, count }) => {
+      const times = count > 1 ? ` (${count} times)` : '';
+      console.log(`- [${kind}] ${where ? `${where}: ` : ''}${message}${times}`);
+    });
+  }
+
+  console.log(`${counts.errors} error${counts.errors === 1 ? '' : 's'}, ${counts.warnings} warning${counts.warnings === 1 ? '' : 's'}`);
+  return counts;
+}
+
+module.exports = {
+  createIssueLog,
+  findSchema,
+  validateFrontMatter,
+  checkLinks,
+  printReport,
+};
@@ -1,160 +1,330 @@
 const fs = require('fs-extra');
-const axios = require('axios');
+const crypto = require('crypto');
 const path = require('path');
-const csv = require('csv-parser');
 const matter = require('gray-matter');
+const { loadMappings, applyMapping } = require('./dataMapping');
+const { getReader } = require('./dataReaders');
+const { createSlugger } = require('./slugger');
+const { loadLanguages } = require('./languages');
+const { loadSlugRegistry, saveSlugRegistry, rowKey, assignSlugs, findRemovedRows, releaseRows } = require('./slugRegistry');
+const { isRemote, expandSources, matchesSource, resolveSource } = require('./dataFetcher');
+const { hashContent } = require('./buildManifest');
 
 // Directory configuration
 const contentDir = 'content';
 
-// Utility function to sanitize slugs
-function sanitizeSlug(input, maxLength = 50, separator = '-') {
-  if (!input) {
-    return 'post'; // Handle empty input with a default
-  }
-  let slug = input.toLowerCase().trim();
-  slug = slug.replace(/[^a-z0-9\s-]/g, '');
-  slug = slug.replace(/[\s-]+/g, separator);
-  slug = slug.substring(0, maxLength);
-  slug = slug.replace(new RegExp(`^${separator}|${separator}$`, 'g'), '');
-
-  return slug || 'post'; // Ensure a slug is always returned, default to 'post' if empty after sanitization
+// Utility function to sanitize slugs with the shared slugger (see slugger.js)
+function sanitizeSlug(input, slugify) {
+  return slugify(input) || 'post'; // Ensure a slug is always returned, default to 'post' if nothing is left
 }
 
-// Function to extract and process data from CSV and JSON URLs
-async function extractDataFromSources(config) {
+// Function to extract and process data from CSV and JSON sources (URLs or local files)
+// Sources come from mapping files in config.mappings.dir plus the plain
+// config.csv/config.json include lists, which fall back to default mappings.
+// Every row becomes a virtual page { file, data, body, hash, modified, origin } that is
+// rendered like a markdown file in content/ without being written there; with
+// options.materialize the rows are written to content/ as .md files instead.
+// previousSources is the record returned by the last run; materialized sources
+// whose data and mapping are unchanged are not written again.
+// Returns { sources (the new record), pages (the virtual pages) }.
+// Slugs of imported rows are kept in the slug registry (see slugRegistry.js).
+// options.offline reads remote sources only from the data cache (see dataFetcher.js).
+async function extractDataFromSources(config, previousSources = {}, options = {}) {
+  const sources = {};
+  const pages = [];
+  const results = [];
+
   try {
     // Ensure the content directory exists
     await fs.ensureDir(contentDir);
 
-    const csvPromises = (config.csv.include || []).map(url => processDataSource(url, 'csv'));
-    const jsonPromises = (config.json.include || []).map(url => processDataSource(url, 'json'));
+    const mappingsConfig = config.mappings || {};
+    const mappings = mappingsConfig.dir ? await loadMappings(mappingsConfig.dir, mappingsConfig) : [];
+    mappings.forEach(mapping => console.log(`Loaded mapping: ${mapping.name} (${mapping.type} from ${mapping.source})`));
+
+    // Local files named in a mapping are relative to the mapping file
+    const jobs = [
+      ...mappings.map(mapping => ({
+        url: isRemote(mapping.source) || path.isAbsolute(mapping.source) ? mapping.source : path.join(mappingsConfig.dir, mapping.source),
+        type: mapping.type,
+        mapping,
+        name: mapping.name,
+        resolveId: mapping.id ? mapping.id.resolve : null
+      })),
+      ...(await filterSources(config.csv)).map(url => ({ url, type: 'csv', mapping: null, name: url, resolveId: columnResolver(config.csv.id) })),
+      ...(await filterSources(config.json)).map(url => ({ url, type: 'json', mapping: null, name: url, resolveId: columnResolver(config.json.id) }))
+    ];
 
-    await Promise.all([...csvPromises, ...jsonPromises]);
+    const generatedFiles = Object.values(previousSources).flatMap(record => record.files || []);
+    const slugify = createSlugger(config.slug);
+    const site = { languages: loadLanguages(config), slugify };
+    const importer = {
+      registry: await loadSlugRegistry(config.slugRegistry.file, contentDir, generatedFiles, site),
+      slugify,
+      slugOptions: config.slug,
+      fetchOptions: { ...config.fetch, offline: Boolean(options.offline) },
+      materialize: Boolean(options.materialize)
+    };
+
+    await Promise.all(jobs.map(async (job) => {
+      const key = `${job.mapping ? job.mapping.name : job.type}:${job.url}`;
+      const { record, result, pages: sourcePages } = await processDataSource(job, previousSources[key], importer);
+      if (record) sources[key] = record;
+      pages.push(...sourcePages);
+      results.push(result);
+    }));
+
+    await reportSlugChanges(importer.registry, jobs, config.slugRegistry.prune, importer.materialize);
+    await saveSlugRegistry(importer.registry);
   } catch (error) {
     console.error(`Error during data extraction: ${error.message}`);
   }
-}
 
-// Function to process data source based on type
-async function processDataSource(url, type) {
-  try {
-    if (type === 'csv') {
-      const csvData = await fetchCsv(url);
-      await generateMarkdownFromCsv(csvData);
-    } else if (type === 'json') {
-      const jsonData = await fetchJson(url);
-      await generateMarkdownFromJson(jsonData);
-    }
-  } catch (error) {
-    console.error(`Error processing ${type} from URL ${url}: ${error.message}`);
-  }
+  reportSourceResults(results);
+  return { sources, pages };
 }
 
-// Function to fetch CSV data from a URL
-async function fetchCsv(url) {
-  try {
-    const response = await axios.get(url, { responseType: 'stream' });
-    const results = [];
-
-    return new Promise((resolve, reject) => {
-      response.data
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', () => resolve(results))
-        .on('error', (error) => reject(error));
+// Function to print one line per data source and what happened to it, failures last
+function reportSourceResults(results) {
+  if (results.length === 0) return;
+
+  const count = status => results.filter(result => result.status === status).length;
+  console.log(`Data sources: ${count('imported')} imported, ${count('unchanged')} unchanged, ${count('failed')} failed`);
+
+  results
+    .sort((a, b) => (a.status === 'failed') - (b.status === 'failed'))
+    .forEach(({ job, status, origin, rows, error }) => {
+      const label = job.mapping ? `${job.name} (${job.url})` : job.url;
+      if (status === 'failed') {
+        console.error(`  FAILED ${label}: ${error}`);
+      } else {
+        const details = [origin, rows !== undefined ? `${rows} rows` : null].filter(Boolean).join(', ');
+        console.log(`  ${status} ${label}${details ? ` [${details}]` : ''}`);
+      }
     });
-  } catch (error) {
-    throw new Error(`Failed to fetch CSV from ${url}: ${error.message}`);
-  }
 }
 
-// Function to generate Markdown files from CSV data
-async function generateMarkdownFromCsv(data) {
-  const existingSlugs = new Set();
-
-  for (const item of data) {
-    const title = item.Title || 'Untitled';
-    const slug = ensureUniqueSlug(sanitizeSlug(title), existingSlugs);
-
-    // Construct front matter with specific fields
-    const frontMatterData = {
-      title: title,
-      release_year: item['Release Year'], // Notice corrected keys
-      origin_ethnicity: item['Origin/Ethnicity'],
-      director: item.Director,
-      cast: item.Cast,
-      genre: item.Genre,
-      wiki_page: item['Wiki Page'],
-      plot: item.Plot,
-    };
+// Function to read a row's id from a plain CSV/JSON source (config.csv.id / config.json.id)
+function columnResolver(column) {
+  return column ? item => item[column] : null;
+}
 
-    // Use matter.stringify to create front matter
-    const frontMatter = matter.stringify('', frontMatterData);
+// Function to log slug collisions and rows that disappeared from their source,
+// deleting the pages of vanished rows when prune is set. Virtual pages simply
+// disappear, so for them prune only frees the slugs for other rows.
+async function reportSlugChanges(registry, jobs, prune, materialize) {
+  registry.collisions.forEach(message => console.warn(`Slug collision: ${message}`));
 
-    // Construct markdown content, only including the plot
-    const markdownContent = `${frontMatter}\n\n${item.Plot || ''}`;
+  for (const { name } of jobs) {
+    const removed = findRemovedRows(registry, name);
+    if (removed.length === 0) continue;
 
-    const markdownFilePath = path.join(contentDir, `${slug}.md`);
+    if (!materialize) {
+      if (prune) releaseRows(registry, name, removed.map(({ key }) => key));
+      const slugs = removed.map(({ slug }) => slug).join(', ');
+      console.log(`${name}: ${removed.length} row(s) no longer in the source (${slugs})${prune ? ', released their slugs' : ''}`);
+      continue;
+    }
 
-    try {
-      await fs.writeFile(markdownFilePath, markdownContent);
-    } catch (error) {
-      console.error(`Error creating Markdown file: ${markdownFilePath}, Error: ${error.message}`);
+    const files = removed.map(({ slug }) => path.join(contentDir, `${slug}.md`));
+    if (prune) {
+      await Promise.all(files.map(file => fs.remove(file)));
+      releaseRows(registry, name, removed.map(({ key }) => key));
+      console.log(`${name}: ${removed.length} row(s) no longer in the source, deleted ${files.join(', ')}`);
+    } else {
+      console.warn(`${name}: ${removed.length} row(s) no longer in the source, keeping ${files.join(', ')} (set slugRegistry.prune to delete them)`);
     }
   }
 }
 
+// Function to apply include/exclude lists to data sources; local entries may be globs
+async function filterSources(sourceConfig = {}) {
+  const exclude = sourceConfig.exclude || [];
+  const included = await expandSources(sourceConfig.include || []);
+  return included.filter(source => !exclude.some(pattern => matchesSource(source, pattern)));
+}
 
-// Function to fetch JSON data from a URL
-async function fetchJson(url) {
+// Function to start the hash of a source: the mapping and slug settings applied to it;
+// every item is added while reading
+function createSourceHash(type, mapping, slugOptions) {
+  const hash = crypto.createHash('sha1');
+  hash.update(type);
+  hash.update(JSON.stringify(slugOptions || null));
+  if (mapping) {
+    hash.update(JSON.stringify({
+      items: mapping.items ? mapping.items.expression : null,
+      id: mapping.id ? mapping.id.expression : null,
+      query: mapping.query,
+      frontMatter: mapping.frontMatter.map(({ field, expression }) => [field, expression]),
+      body: mapping.body.map(({ field, expression }) => [field, expression])
+    }));
+  }
+  return hash;
+}
+
+// Function to check whether every file generated from a source is still there
+async function allFilesExist(files = []) {
+  for (const file of files) {
+    if (!(await fs.pathExists(file))) return false;
+  }
+  return true;
+}
+
+// Function to process data source based on type
+// job: { url, type, mapping, name (registry key of the source), resolveId }
+// Returns { record, result, pages }: record is { hash } for the manifest, plus the
+// written files when materializing (the previous record if the source failed),
+// result describes the outcome for the summary and pages are the virtual pages
+//
+// Items are read twice: the first pass hashes every item and notes its row key and
+// slug, the second builds the pages (or, materializing, writes them one at a time
+// so large CSV/NDJSON files never sit in memory).
+async function processDataSource(job, previous, importer) {
+  const { url, type, mapping } = job;
+  let origin = null;
   try {
-    const response = await axios.get(url);
-    return response.data;
+    const reader = getReader(type);
+    const source = await resolveSource(url, importer.fetchOptions);
+    origin = source.origin;
+
+    const toEntry = createEntryMapper(type, mapping);
+    const hash = createSourceHash(type, mapping, importer.slugOptions);
+    const rows = [];
+    for await (const item of await reader.read(source.file, mapping)) {
+      hash.update(JSON.stringify(item));
+      const { frontMatterData } = toEntry(item);
+      rows.push({
+        key: rowKey(item, job.resolveId),
+        baseSlug: sanitizeSlug(frontMatterData.slug || frontMatterData.title, importer.slugify)
+      });
+    }
+
+    const digest = hash.digest('hex');
+    const unchanged = previous && previous.hash === digest;
+    if (importer.materialize && unchanged && previous.files && await allFilesExist(previous.files)) {
+      return { record: previous, result: { job, status: 'unchanged', origin }, pages: [] };
+    }
+
+    const slugs = assignSlugs(importer.registry, job.name, rows);
+    const modified = (await fs.stat(source.file)).mtime.toISOString();
+    const files = [];
+    const pages = [];
+    let index = 0;
+    for await (const item of await reader.read(source.file, mapping)) {
+      const entry = toEntry(item);
+      const slug = slugs[index++];
+      if (importer.materialize) files.push(await writeMarkdownEntry(entry, slug));
+      else pages.push(createVirtualPage(entry, slug, modified, importer.registry.owners.get(slug)));
+    }
+    if (index !== rows.length) {
+      throw new Error(`Source changed while importing (${rows.length} items, then ${index})`);
+    }
+
+    if (importer.materialize) {
+      return { record: { hash: digest, files }, result: { job, status: 'imported', origin, rows: rows.length }, pages };
+    }
+
+    // Files written by an earlier materialized import would duplicate the virtual pages
+    if (previous && previous.files) await removeGeneratedFiles(job.name, previous.files);
+    const status = unchanged && !previous.files ? 'unchanged' : 'imported';
+    return { record: { hash: digest }, result: { job, status, origin, rows: rows.length }, pages };
   } catch (error) {
-    throw new Error(`Failed to fetch JSON from ${url}: ${error.message}`);
+    return { record: previous, result: { job, status: 'failed', origin, error: error.message }, pages: [] };
   }
 }
 
-// Function to generate Markdown files from JSON data
-async function generateMarkdownFromJson(data) {
-  const existingSlugs = new Set();
+// Function to delete the markdown files an earlier materialized import wrote for a source
+async function removeGeneratedFiles(name, files) {
+  const existing = [];
+  for (const file of files) {
+    if (await fs.pathExists(file)) existing.push(file);
+  }
+  if (existing.length === 0) return;
 
-  for (const item of data) {
-    const title = item.title || (item.titles && item.titles.length > 0 ? item.titles[0] : 'Untitled'); // Corrected title extraction
-    const slug = ensureUniqueSlug(sanitizeSlug(title), existingSlugs);
+  await Promise.all(existing.map(file => fs.remove(file)));
+  console.log(`${name}: removed ${existing.length} file(s) written to ${contentDir}/ by an earlier import (use --materialize to keep writing them)`);
+}
 
-    // Construct front matter with the title (no other fields are available in your example JSON)
-    const frontMatterData = {
-      title: title,
-    };
+// Function to turn a column name into a front matter key ("Release Year" -> "release_year")
+function columnToField(column) {
+  return column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
 
-    // Use matter.stringify to create front matter
-    const frontMatter = matter.stringify('', frontMatterData);
+// Function to build the default mapping for a source without a mapping file:
+// every column of the first row becomes a front matter field
+function defaultColumnMapping(row) {
+  const frontMatter = Object.keys(row).map(column => ({
+    field: columnToField(column),
+    expression: column,
+    resolve: item => item[column]
+  }));
+  return { name: 'csv', frontMatter, body: [] };
+}
 
-    // Construct markdown content, including only the provided content and the JSON data
-    const markdownContent = `${frontMatter}\n\n${item.content || ''}\n\n\`\`\`json\n${JSON.stringify(item, null, 2)}\n\`\`\``;
+// Function to build a JSON item without a mapping file: its title, its content and the raw JSON
+function legacyJsonEntry(item) {
+  const title = item.title || (item.titles && item.titles.length > 0 ? item.titles[0] : 'Untitled'); // Corrected title extraction
 
-    const markdownFilePath = path.join(contentDir, `${slug}.md`);
+  // Construct front matter with the title (no other fields are available in your example JSON)
+  const frontMatterData = {
+    title: title,
+  };
 
-    try {
-      await fs.writeFile(markdownFilePath, markdownContent);
-    } catch (error) {
-      console.error(`Error creating Markdown file: ${markdownFilePath}, Error: ${error.message}`);
-    }
-  }
+  // Construct markdown content, including only the provided content and the JSON data
+  const body = `${item.content || ''}\n\n\`\`\`json\n${JSON.stringify(item, null, 2)}\n\`\`\``;
+  return { frontMatterData, body };
+}
+
+// Function to get the function that turns an item into { frontMatterData, body }
+function createEntryMapper(type, mapping) {
+  if (!mapping && type === 'json') return legacyJsonEntry;
+
+  let activeMapping = mapping;
+  return item => {
+    activeMapping = activeMapping || defaultColumnMapping(item);
+    const { frontMatterData, body } = applyMapping(item, activeMapping);
+    frontMatterData.title = frontMatterData.title ? String(frontMatterData.title) : 'Untitled';
+    return { frontMatterData, body };
+  };
+}
+
+// Function to build the virtual page of one entry, as if it had been written to <contentDir>/<slug>.md
+// modified is the time the source was last changed, used when the entry has no date of its own;
+// origin names the row in messages ("<source> <row key>", see slugRegistry.js)
+function createVirtualPage({ frontMatterData, body }, slug, modified, origin) {
+  if (frontMatterData.slug) frontMatterData.slug = slug; // Keep a mapped slug in step with the page path
+  return {
+    file: `${slug}.md`,
+    data: frontMatterData,
+    body,
+    hash: hashContent(frontMatterData, body),
+    modified,
+    origin
+  };
+}
+
+// Function to write one Markdown entry under its slug from the registry, returning the written path
+async function writeMarkdownEntry({ frontMatterData, body }, slug) {
+  if (frontMatterData.slug) frontMatterData.slug = slug; // Keep a mapped slug in step with the file name
+
+  // Use matter.stringify to create front matter
+  const frontMatter = matter.stringify('', frontMatterData);
+  const markdownContent = `${frontMatter}\n\n${body}`;
+
+  return await writeMarkdownFile(slug, markdownContent);
 }
 
-// Function to ensure unique slugs
-function ensureUniqueSlug(slug, existingSlugs) {
-  let finalSlug = slug;
-  let slugCounter = 1;
-  while (existingSlugs.has(finalSlug)) {
-    finalSlug = `${slug}-${slugCounter}`;
-    slugCounter++;
+// Function to write one generated Markdown file into the content directory
+async function writeMarkdownFile(slug, markdownContent) {
+  const markdownFilePath = path.join(contentDir, `${slug}.md`);
+
+  try {
+    await fs.writeFile(markdownFilePath, markdownContent);
+  } catch (error) {
+    console.error(`Error creating Markdown file: ${markdownFilePath}, Error: ${error.message}`);
   }
-  existingSlugs.add(finalSlug);
-  return finalSlug;
+
+  return markdownFilePath;
 }
 
 // Export the main function for use in other files
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Data sources are either URLs or local files. Remote sources are downloaded into
+// an on-disk cache and revalidated with ETag/Last-Modified, so unchanged data is
+// not downloaded again and builds can run offline from the cache. Every source
+// ends up as a local file path that the readers in dataExtractor.js parse.
+
+// Function to check whether a source is a URL rather than a local path
+function isRemote(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+// Function to check whether a path contains glob characters
+function isGlob(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+// Function to turn a glob into a regular expression over posix paths
+// Supports **, *, ?, [abc] and {a,b}
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const slash = pattern[i + 2] === '/';
+        regex += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close === -1) {
+        regex += '\\[';
+      } else {
+        regex += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      const close = pattern.indexOf('}', i);
+      if (close === -1) {
+        regex += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, close).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&'));
+        regex += `(?:${options.join('|')})`;
+        i = close;
+      }
+    } else {
+      regex += /[.+^$()|\\]/.test(char) ? `\\${char}` : char;
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+// Function to list files under a directory recursively, as posix paths relative to it
+async function listFiles(dir, prefix = '') {
+  if (!(await fs.pathExists(dir))) return [];
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+    } else if (entry.isFile()) {
+      files.push(`${prefix}${entry.name}`);
+    }
+  }
+  return files;
+}
+
+// Function to expand a local glob ('prebuild/data/**/*.csv') into the matching file paths, sorted
+async function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(isGlob);
+  const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+  const files = await listFiles(baseDir);
+  return files
+    .filter(file => matcher.test(file))
+    .map(file => (baseDir === '.' ? file : `${baseDir}/${file}`))
+    .sort();
+}
+
+// Function to expand a list of sources: URLs and plain paths are kept, globs become the files they match
+async function expandSources(sources) {
+  const expanded = [];
+  for (const source of sources) {
+    if (!isRemote(source) && isGlob(source)) {
+      const files = await expandGlob(source);
+      if (files.length === 0) console.warn(`No data files match ${source}`);
+      expanded.push(...files);
+    } else {
+      expanded.push(source);
+    }
+  }
+  return Array.from(new Set(expanded));
+}
+
+// Function to check whether a source matches an exclude entry (a path, URL or glob)
+function matchesSource(source, pattern) {
+  if (source === pattern) return true;
+  return !isRemote(pattern) && isGlob(pattern) && globToRegExp(pattern.replace(/\\/g, '/')).test(source);
+}
+
+// Function to wait between retries
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to check whether a failed request is worth retrying (network errors, timeouts, 429 and 5xx)
+function isRetryable(error) {
+  const status = error.response ? error.response.status : null;
+  return status === null || status === 429 || status >= 500;
+}
+
+// Function to get the cache file paths of a URL: the data itself and its ETag/Last-Modified metadata
+function cachePaths(cacheDir, url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  return {
+    data: path.join(cacheDir, key),
+    meta: path.join(cacheDir, `${key}.json`)
+  };
+}
+
+// Function to download a URL into the cache, revalidating an existing copy
+// Returns 'downloaded' or 'not-modified'
+async function downloadToCache(url, paths, meta, options) {
+  const headers = {};
+  if (meta && await fs.pathExists(paths.data)) {
+    if (meta.etag) headers['If-None-Match'] = meta.etag;
+    if (meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    headers,
+    timeout: options.timeout,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  if (response.status === 304) {
+    response.data.resume();
+    return 'not-modified';
+  }
+
+  // Write to a temporary file first so an interrupted download never replaces a good copy
+  const tempPath = `${paths.data}.download`;
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(tempPath);
+    response.data.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+    response.data.pipe(output);
+  });
+  await fs.move(tempPath, paths.data, { overwrite: true });
+  await fs.writeJson(paths.meta, {
+    url,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    fetchedAt: new Date().toISOString()
+  });
+  return 'downloaded';
+}
+
+// Function to get a local file for a source: local paths are checked, URLs go through the cache
+// options: { cacheDir, offline, retries, retryDelay, timeout }
+// Returns { file, origin } where origin is 'local', 'downloaded', 'not-modified', 'cache' or 'stale-cache'
+async function resolveSource(source, options) {
+  if (!isRemote(source)) {
+    if (!(await fs.pathExists(source))) throw new Error(`File not found: ${source}`);
+    return { file: source, origin: 'local' };
+  }
+
+  await fs.ensureDir(options.cacheDir);
+  const paths = cachePaths(options.cacheDir, source);
+  const meta = await fs.readJson(paths.meta).catch(() => null);
+  const cached = meta !== null && await fs.pathExists(paths.data);
+
+  if (options.offline) {
+    if (!cached) throw new Error('Not in the data cache (run once without --offline to download it)');
+    return { file: paths.data, origin: 'cache' };
+  }
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= options.retries; attempt++) {
+    if (attempt > 0) {
+      const wait = options.retryDelay * 2 ** (attempt - 1);
+      console.warn(`Retrying ${source} in ${wait}ms (attempt ${attempt + 1} of ${options.retries + 1}): ${lastError.message}`);
+      await delay(wait);
+    }
+
+    try {
+      const origin = await downloadToCache(source, paths, meta, options);
+      return { file: paths.data, origin };
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error)) break;
+    }
+  }
+
+  if (cached) {
+    console.warn(`Could not fetch ${source} (${lastError.message}), using the cached copy from ${meta.fetchedAt}`);
+    return { file: paths.data, origin: 'stale-cache' };
+  }
+  throw lastError;
+}
+
+module.exports = {
+  isRemote,
+  expandSources,
+  matchesSource,
+  resolveSource,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { inferType } = require('./dataReaders');
+
+// Mapping files live next to the data they describe and end with this extension
+const MAPPING_EXTENSION = '.mapping';
+
+// The first sketch of the format was an .html file; such files are still read as mappings
+const SKETCH_EXTENSION = '.html';
+
+// Header keys that are allowed above the first `---` separator
+const HEADER_KEYS = ['data', 'type', 'items', 'id', 'query'];
+
+// Function to strip matching quotes around a mapping value
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && /^(["']).*\1$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+// Function to split a `.a.b[0]["Some Key"][]` path into segments
+// Returns an array of strings, numbers and the special '[]' (map over array) marker
+function parsePath(expression) {
+  const source = expression.trim();
+  if (!source.startsWith('.')) {
+    throw new Error(`Path must start with ".": ${expression}`);
+  }
+
+  const segments = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '.') {
+      i++;
+      const match = /^[^.[\s]+/.exec(source.slice(i));
+      if (match) {
+        segments.push(match[0]);
+        i += match[0].length;
+      }
+    } else if (char === '[') {
+      const close = findClosingBracket(source, i);
+      const inner = source.slice(i + 1, close).trim();
+      if (inner === '') {
+        segments.push('[]');
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push(Number(inner));
+      } else {
+        segments.push(unquote(inner));
+      }
+      i = close + 1;
+    } else {
+      throw new Error(`Unexpected "${char}" in path: ${expression}`);
+    }
+  }
+
+  return segments;
+}
+
+// Function to find the `]` that closes a bracket segment, skipping quoted keys
+function findClosingBracket(source, start) {
+  let quote = null;
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ']') {
+      return i;
+    }
+  }
+  throw new Error(`Unclosed "[" in path: ${source}`);
+}
+
+// Function to resolve parsed path segments against an item
+function resolvePath(item, segments) {
+  let current = item;
+  for (let i = 0; i < segments.length; i++) {
+    if (current === undefined || current === null) return undefined;
+
+    const segment = segments[i];
+    if (segment === '[]') {
+      if (!Array.isArray(current)) return undefined;
+      const rest = segments.slice(i + 1);
+      return current
+        .map(entry => resolvePath(entry, rest))
+        .filter(value => value !== undefined && value !== null);
+    }
+
+    current = typeof segment === 'number' && segment < 0 && Array.isArray(current)
+      ? current[current.length + segment]
+      : current[segment];
+  }
+  return current;
+}
+
+// Function to turn a mapping value into a resolver: `.path` lookups or quoted literals
+function parseValue(raw, fileName, lineNumber) {
+  const value = raw.trim();
+  if (value.startsWith('.')) {
+    try {
+      const segments = parsePath(value);
+      return { expression: value, resolve: item => resolvePath(item, segments) };
+    } catch (error) {
+      throw new Error(`${fileName}:${lineNumber}: ${error.message}`);
+    }
+  }
+  const literal = unquote(value);
+  return { expression: value, resolve: () => literal };
+}
+
+// Function to parse the text of a mapping file
+//
+//   data = "https://example.com/movies.csv"
+//   type = csv            (optional, inferred from the data extension; see dataReaders.js)
+//   items = .results      (optional, path to the array of items in JSON/YAML/TOML documents)
+//   id = .["Wiki Page"]   (optional, path to a value that identifies an item across imports)
+//   query = SELECT ...    (optional, SQL for SQLite sources)
+//   ---
+//   title = .Title
+//   release_year = .["Release Year"]
+//   ---
+//   plot = .Plot
+//
+// The first block is the header, the second maps front-matter fields and the
+// third lists the fields that make up the markdown body.
+function parseMapping(text, fileName = 'mapping') {
+  const sections = [[], [], []];
+  let sectionIndex = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    if (trimmed === '---') {
+      sectionIndex++;
+      if (sectionIndex > 2) {
+        throw new Error(`${fileName}:${lineNumber}: Too many "---" separators`);
+      }
+      return;
+    }
+
+    const separator = trimmed.indexOf('=');
+    if (separator === -1) {
+      // A bare path is allowed in the body section
+      if (sectionIndex === 2 && trimmed.startsWith('.')) {
+        sections[2].push({ field: null, ...parseValue(trimmed, fileName, lineNumber) });
+        return;
+      }
+      throw new Error(`${fileName}:${lineNumber}: Expected "name = value", got "${trimmed}"`);
+    }
+
+    const key = trimmed.slice(0, separator).trim();
+    const rawValue = trimmed.slice(separator + 1);
+
+    if (sectionIndex === 0) {
+      if (!HEADER_KEYS.includes(key)) {
+        throw new Error(`${fileName}:${lineNumber}: Unknown header "${key}"`);
+      }
+      sections[0].push({ key, value: unquote(rawValue), lineNumber });
+    } else {
+      sections[sectionIndex].push({ field: key, ...parseValue(rawValue, fileName, lineNumber) });
+    }
+  });
+
+  const header = {};
+  const headerLines = {};
+  sections[0].forEach(({ key, value, lineNumber }) => {
+    header[key] = value;
+    headerLines[key] = lineNumber;
+  });
+
+  if (!header.data) {
+    throw new Error(`${fileName}: Missing "data = <url>" line`);
+  }
+
+  return {
+    name: fileName,
+    source: header.data,
+    type: (header.type || inferType(header.data)).toLowerCase(),
+    items: header.items ? parseValue(header.items, fileName, headerLines.items) : null,
+    id: header.id ? parseValue(header.id, fileName, headerLines.id) : null,
+    query: header.query || null,
+    frontMatter: sections[1],
+    body: sections[2]
+  };
+}
+
+// Function to build front matter and body for one item using a mapping
+function applyMapping(item, mapping) {
+  const frontMatterData = {};
+  mapping.frontMatter.forEach(({ field, resolve }) => {
+    const value = resolve(item);
+    if (value !== undefined && value !== null && value !== '') {
+      frontMatterData[field] = value;
+    }
+  });
+
+  const body = mapping.body
+    .map(({ resolve }) => resolve(item))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => (typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value)))
+    .join('\n\n');
+
+  return { frontMatterData, body };
+}
+
+// Function to check whether the text of an .html file is a mapping in the sketch form:
+// a `data = ...` line before the first `---`
+function isMappingSketch(text) {
+  const header = text.split(/^\s*---\s*$/m)[0];
+  return /^\s*data\s*=/m.test(header) && !/<[a-z!]/i.test(header);
+}
+
+// Function to discover and parse every mapping file in a directory
+// (.mapping files, plus .html files written in the sketch form, with a warning to rename them)
+async function loadMappings(dir, { include = [], exclude = [] } = {}) {
+  if (!(await fs.pathExists(dir))) return [];
+
+  const files = await fs.readdir(dir);
+  const mappings = [];
+
+  for (const file of files) {
+    const extension = path.extname(file);
+    if (extension !== MAPPING_EXTENSION && extension !== SKETCH_EXTENSION) continue;
+
+    const text = await fs.readFile(path.join(dir, file), 'utf-8');
+    if (extension === SKETCH_EXTENSION) {
+      if (!isMappingSketch(text)) continue;
+      console.warn(`Mapping ${path.join(dir, file)} uses the old .html name, rename it to ${path.basename(file, extension)}${MAPPING_EXTENSION}`);
+    }
+
+    const mappingName = path.basename(file, extension);
+    const shouldInclude =
+      (include.length === 0 || include.includes(mappingName)) &&
+      !exclude.includes(mappingName);
+
+    if (!shouldInclude) {
+      console.log(`Skipped mapping: ${mappingName}`);
+      continue;
+    }
+
+    mappings.push(parseMapping(text, file));
+  }
+
+  return mappings;
+}
+
+module.exports = {
+  parseMapping,
+  parsePath,
+  resolvePath,
+  applyMapping,
+  loadMappings,
+};
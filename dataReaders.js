@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const csv = require('csv-parser');
+const yaml = require('js-yaml');
+const toml = require('smol-toml');
+const initSqlJs = require('sql.js');
+
+// Readers turn a local data file into items. A reader is { extensions, read(file, mapping) }
+// where read returns an (async) iterable of items and may be called more than once per
+// build. Line-based formats are streamed; document formats are parsed whole and the
+// mapping's `items` path picks the list of items out of the document. Document readers
+// also have parse(file), which returns the whole document (used for site.data).
+const readers = {};
+
+// Function to register a reader for a source type, e.g. registerReader('xml', { extensions: ['.xml'], read })
+function registerReader(type, reader) {
+  readers[type] = { extensions: [], ...reader };
+}
+
+// Function to get the reader of a source type
+function getReader(type) {
+  const reader = readers[type];
+  if (!reader) {
+    throw new Error(`Unsupported data type "${type}" (known types: ${Object.keys(readers).join(', ')})`);
+  }
+  return reader;
+}
+
+// Function to infer the source type from a URL or file extension (fallback, JSON by default, when unknown)
+function inferType(source, fallback = 'json') {
+  const extension = path.extname(source.split(/[?#]/)[0]).toLowerCase();
+  const type = Object.keys(readers).find(name => readers[name].extensions.includes(extension));
+  return type || fallback;
+}
+
+// Function to pick the list of items out of a parsed document
+function selectItems(data, mapping) {
+  const items = mapping && mapping.items ? mapping.items.resolve(data) : data;
+  if (Array.isArray(items)) return items;
+  if (items && typeof items === 'object') return [items];
+  return [];
+}
+
+// Function to stream CSV rows; read errors surface while iterating
+function readCsv(file) {
+  const parser = csv();
+  pipeline(fs.createReadStream(file), parser, () => {});
+  return parser;
+}
+
+// Function to stream one JSON value per line, skipping blank lines
+async function* readNdjson(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+// Function to parse a JSON document
+async function parseJson(file) {
+  try {
+    return await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+// Function to parse a YAML file; several `---` documents become a list (one item each)
+async function parseYaml(file) {
+  const documents = yaml.safeLoadAll(await fs.readFile(file, 'utf-8'));
+  return documents.length === 1 ? documents[0] : documents;
+}
+
+// Function to parse a TOML document; use e.g. `items = .movies` for [[movies]] tables
+async function parseToml(file) {
+  return toml.parse(await fs.readFile(file, 'utf-8'));
+}
+
+// Function to create the reader of a document format from its parser
+function documentReader(extensions, parse) {
+  return {
+    extensions,
+    parse,
+    read: async (file, mapping) => selectItems(await parse(file), mapping)
+  };
+}
+
+let sqlJs = null;
+
+// Function to stream the rows of a SQLite query; without a `query` header the
+// database must have exactly one table, which is read whole
+async function* readSqlite(file, mapping) {
+  sqlJs = sqlJs || initSqlJs();
+  const SQL = await sqlJs;
+  const db = new SQL.Database(await fs.readFile(file));
+
+  try {
+    let query = mapping && mapping.query;
+    if (!query) {
+      const [result] = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+      const tables = result ? result.values.map(([name]) => name) : [];
+      if (tables.length !== 1) {
+        throw new Error(`Database has ${tables.length} tables (${tables.join(', ')}); add a "query = SELECT ..." line to the mapping`);
+      }
+      query = `SELECT * FROM "${tables[0].replace(/"/g, '""')}"`;
+    }
+
+    const statement = db.prepare(query);
+    try {
+      while (statement.step()) yield statement.getAsObject();
+    } finally {
+      statement.free();
+    }
+  } finally {
+    db.close();
+  }
+}
+
+registerReader('csv', { extensions: ['.csv'], read: readCsv });
+registerReader('ndjson', { extensions: ['.ndjson', '.jsonl'], read: readNdjson });
+registerReader('json', documentReader(['.json'], parseJson));
+registerReader('yaml', documentReader(['.yaml', '.yml'], parseYaml));
+registerReader('toml', documentReader(['.toml'], parseToml));
+registerReader('sqlite', { extensions: ['.sqlite', '.sqlite3', '.db'], read: readSqlite });
+
+// Function to read a whole data file: the document itself for document formats,
+// the list of rows for the others (CSV, NDJSON, SQLite)
+async function readDataFile(file, type = inferType(file)) {
+  const reader = getReader(type);
+  if (reader.parse) return reader.parse(file);
+
+  const items = [];
+  for await (const item of await reader.read(file, null)) items.push(item);
+  return items;
+}
+
+module.exports = {
+  registerReader,
+  getReader,
+  inferType,
+  selectItems,
+  readDataFile,
+};
@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+// Script injected into every served HTML page; reloads when the server sends "reload"
+const LIVE_RELOAD_SCRIPT = `<script>
+(function () {
+  var source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', function () { location.reload(); });
+})();
+</script>`;
+
+// Function to strip the deployment base path (e.g. /yuushacms/) from a request path
+function stripBasePath(requestPath, basePath) {
+  const prefix = basePath ? '/' + basePath.replace(/^\/+|\/+$/g, '') : '';
+  if (prefix && prefix !== '/' && (requestPath === prefix || requestPath.startsWith(prefix + '/'))) {
+    return requestPath.slice(prefix.length) || '/';
+  }
+  return requestPath;
+}
+
+// Function to map a request path to a file inside the output directory
+async function resolveRequestFile(root, requestPath) {
+  const decoded = decodeURIComponent(requestPath.split('?')[0]);
+  const filePath = path.join(root, path.normalize(decoded).replace(/^(\.\.[/\\])+/, ''));
+
+  // Never serve anything outside the output directory
+  if (path.relative(root, filePath).startsWith('..')) return null;
+
+  const candidates = [filePath];
+  if (decoded.endsWith('/')) {
+    candidates.unshift(path.join(filePath, 'index.html'));
+  } else {
+    candidates.push(path.join(filePath, 'index.html'), `${filePath}.html`);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const stats = await fs.stat(candidate);
+      if (stats.isFile()) return candidate;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+// Function to add the live reload script to an HTML document
+function injectLiveReload(html) {
+  return html.includes('</body>')
+    ? html.replace('</body>', `${LIVE_RELOAD_SCRIPT}\n</body>`)
+    : html + LIVE_RELOAD_SCRIPT;
+}
+
+// Function to start the dev server and file watcher
+// options: { outputDir, port, basePath, watchDirs, rebuild(changedFiles) }
+async function startDevServer(options) {
+  const { outputDir, port = 1313, basePath = '', watchDirs = [], rebuild } = options;
+  const root = path.resolve(outputDir);
+  const clients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const requestPath = stripBasePath(req.url.split('?')[0], basePath);
+
+    // Live reload event stream
+    if (requestPath === LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    try {
+      const filePath = await resolveRequestFile(root, requestPath);
+      if (!filePath) {
+        const notFoundPage = path.join(root, '404.html');
+        const body = (await fs.pathExists(notFoundPage))
+          ? injectLiveReload(await fs.readFile(notFoundPage, 'utf-8'))
+          : `Not found: ${requestPath}`;
+        res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(body);
+        return;
+      }
+
+      const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+
+      if (filePath.endsWith('.html')) {
+        res.end(injectLiveReload(await fs.readFile(filePath, 'utf-8')));
+      } else {
+        fs.createReadStream(filePath).pipe(res);
+      }
+    } catch (error) {
+      console.error(`Error serving ${req.url}: ${error.message}`);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal server error');
+    }
+  });
+
+  // Function to tell every open browser to reload
+  const broadcastReload = () => {
+    clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+  };
+
+  // Rebuild on change, debounced; changes during a build queue one more build
+  let pendingChanges = new Set();
+  let timer = null;
+  let building = false;
+
+  const runRebuild = async () => {
+    if (building) return;
+    building = true;
+    const changed = Array.from(pendingChanges);
+    pendingChanges = new Set();
+
+    console.log(`\nChange detected: ${changed.join(', ')}`);
+    try {
+      await rebuild(changed);
+      broadcastReload();
+    } catch (error) {
+      console.error('Error during rebuild:', error);
+    }
+    building = false;
+
+    if (pendingChanges.size > 0) scheduleRebuild();
+  };
+
+  const scheduleRebuild = () => {
+    clearTimeout(timer);
+    timer = setTimeout(runRebuild, 100);
+  };
+
+  const watchers = [];
+  for (const dir of watchDirs) {
+    if (!(await fs.pathExists(dir))) continue;
+    watchers.push(fs.watch(dir, { recursive: true }, (eventType, fileName) => {
+      pendingChanges.add(path.join(dir, fileName ? fileName.toString() : ''));
+      scheduleRebuild();
+    }));
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const prefix = basePath ? '/' + basePath.replace(/^\/+|\/+$/g, '') : '';
+  console.log(`Serving ${outputDir}/ at http://localhost:${port}${prefix}/`);
+  console.log(`Watching ${watchDirs.join(', ')} for changes. Press Ctrl+C to stop.`);
+
+  return {
+    server,
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      clients.forEach(client => client.end());
+      server.close();
+    }
+  };
+}
+
+module.exports = {
+  startDevServer,
+  stripBasePath,
+};
@@ -0,0 +1,158 @@
+// RSS, Atom and sitemap rendering. Everything here works on plain objects with
+// absolute URLs; ssg.js decides which posts and pages go in.
+
+// Sitemaps may list at most 50,000 URLs per file
+const SITEMAP_URL_LIMIT = 50000;
+
+// Function to escape text for XML element content and attribute values
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Function to wrap HTML in a CDATA section, splitting any "]]>" it contains
+function cdata(value) {
+  return `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Function to format a date as RFC 822 for RSS
+function toRfc822(value) {
+  return new Date(value).toUTCString();
+}
+
+// Function to pick the newest of a list of dates, or null when none is valid
+function latestDate(values) {
+  const times = values
+    .filter(value => value)
+    .map(value => new Date(value).getTime())
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+// Function to get the feed's own updated date: the newest item date, else the newest source
+// file change of the items, else feed.updated; never the build time, so a rebuild of the same
+// input writes the same feed
+function feedUpdated(feed) {
+  return latestDate(feed.items.map(item => item.updated || item.date)) ||
+    latestDate(feed.items.map(item => item.modified)) ||
+    latestDate([feed.updated]) ||
+    new Date(0).toISOString();
+}
+
+// Function to render an RSS 2.0 feed
+// feed: { title, link, feedURL, description, language, updated (used when no item has a date),
+// items: [{ title, url, date, updated, modified (source file change), summary, content }] }
+function renderRss(feed) {
+  const updated = feedUpdated(feed);
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    item.date ? `      <pubDate>${toRfc822(item.date)}</pubDate>` : null,
+    `      <description>${cdata(item.content || item.summary)}</description>`,
+    '    </item>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+    feed.language ? `    <language>${escapeXml(feed.language)}</language>` : null,
+    `    <lastBuildDate>${toRfc822(updated)}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedURL)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+// Function to render an Atom 1.0 feed (same input as renderRss)
+function renderAtom(feed) {
+  const updated = feedUpdated(feed);
+  const entries = feed.items.map(item => {
+    const itemUpdated = item.updated || item.date || item.modified || updated;
+    const body = item.content
+      ? `    <content type="html">${escapeXml(item.content)}</content>`
+      : `    <summary type="html">${escapeXml(item.summary || '')}</summary>`;
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.url)}"/>`,
+      `    <id>${escapeXml(item.url)}</id>`,
+      item.date ? `    <published>${new Date(item.date).toISOString()}</published>` : null,
+      `    <updated>${new Date(itemUpdated).toISOString()}</updated>`,
+      body,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${escapeXml(feed.description)}</subtitle>` : null,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <link href="${escapeXml(feed.feedURL)}" rel="self"/>`,
+    `  <id>${escapeXml(feed.feedURL)}</id>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+// Function to render one sitemap file: entries are { url, lastmod }
+function renderSitemap(entries) {
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(entry.url)}</loc>`,
+    entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : null,
+    '  </url>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+// Function to render a sitemap index pointing at several sitemap files
+function renderSitemapIndex(sitemapURLs) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemapURLs.map(url => `  <sitemap>\n    <loc>${escapeXml(url)}</loc>\n  </sitemap>`),
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+}
+
+// Function to split sitemap entries into chunks that fit the per-file URL limit
+function chunkSitemapEntries(entries, limit = SITEMAP_URL_LIMIT) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += limit) {
+    chunks.push(entries.slice(i, i + limit));
+  }
+  return chunks.length > 0 ? chunks : [[]];
+}
+
+module.exports = {
+  escapeXml,
+  renderRss,
+  renderAtom,
+  renderSitemap,
+  renderSitemapIndex,
+  chunkSitemapEntries,
+};
@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { escapeHtml } = require('./templateEngine');
+const { relURL } = require('./siteConfig');
+const { hashContent } = require('./buildManifest');
+
+// Images referenced from markdown. Local images are resized to the widths in
+// config.images.widths (never wider than the original), encoded as AVIF/WebP plus
+// the original format as a fallback, and written as a <picture> with a srcset,
+// their intrinsic size and lazy loading. Encoded files are cached in
+// config.images.cacheDir by the hash of the original and the settings, so only new
+// or changed images are encoded again.
+//
+// `![alt](photo.jpg)` in content/posts/trip.md is looked up in the page bundle
+// (content/posts/trip/photo.jpg), next to the page (content/posts/photo.jpg) and
+// in static/ (static/photo.jpg); `/img/photo.jpg` in static/ and then content/.
+// Remote images and images that are not found are left as they are, lazily loaded; paths
+// leading out of content/ or static/ (../../secret.png) count as not found.
+
+// Formats sharp can encode, with their MIME type
+const FORMATS = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// Formats that are copied as they are instead of resized (animations, vector images)
+const COPIED_FORMATS = ['gif', 'svg'];
+
+let sharp = null;
+
+// Function to load sharp on first use, so builds without images don't pay for it
+function loadSharp() {
+  sharp = sharp || require('sharp');
+  return sharp;
+}
+
+// Function to check whether an image reference points at another site (or is inline data)
+function isRemote(href) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href);
+}
+
+// Function to check whether a path is inside a directory
+function isInside(dir, file) {
+  const relative = path.relative(path.resolve(dir), path.resolve(file));
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// Function to create the image processor
+// dirs: { contentDir, staticDir }
+function createImageProcessor(config, { contentDir, staticDir }) {
+  const options = config.images;
+  const settingsKey = hashContent(options.widths, options.formats, options.quality, options.output); // Cached entries record their output paths
+  const missing = new Set();
+  const encoding = new Map(); // Images being encoded, by key, so pages sharing one wait for the same work
+
+  // Function to find the file of an image referenced from a page (file relative to contentDir)
+  // Returns null when there is none, also for paths that are empty or can't be decoded (100%.png)
+  async function resolveImage(href, pageFile) {
+    let target;
+    try {
+      target = decodeURI(href.split(/[?#]/)[0]);
+    } catch (error) {
+      return null;
+    }
+    if (!target) return null;
+
+    // Candidates are [directory, path inside it]; `../` can't lead out of the directory
+    const candidates = [];
+    if (target.startsWith('/')) {
+      // Links written with the site's base path (/yuushacms/img/x.jpg) work too
+      const rootPath = target.startsWith(config.basePath) ? target.slice(config.basePath.length) : target.slice(1);
+      candidates.push([staticDir, rootPath], [contentDir, rootPath]);
+    } else {
+      const pageDir = path.posix.dirname(pageFile);
+      const bundleDir = path.posix.join(pageDir, path.posix.basename(pageFile, '.md'));
+      candidates.push(
+        [contentDir, path.posix.join(bundleDir, target)],
+        [contentDir, path.posix.join(pageDir, target)],
+        [staticDir, target]
+      );
+    }
+
+    for (const [dir, relativePath] of candidates) {
+      const candidate = path.join(dir, relativePath);
+      if (!isInside(dir, candidate)) continue;
+      if (await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) return candidate;
+    }
+    return null;
+  }
+
+  // Function to get the widths to encode an image at: the configured ones narrower than
+  // the original, plus the original width when it is narrower than the widest one
+  function variantWidths(width) {
+    const widths = options.widths.filter(candidate => candidate < width);
+    const widest = Math.max(...options.widths);
+    widths.push(Math.min(width, widest));
+    return Array.from(new Set(widths)).sort((a, b) => a - b);
+  }
+
+  // Function to get where the cached files of an image go
+  function cachePath(key, suffix) {
+    return path.join(options.cacheDir, key.slice(0, 2), `${key}${suffix}`);
+  }
+
+  // Function to write a cache file atomically; another worker may be encoding the same image
+  async function writeCacheFile(filePath, content) {
+    await fs.ensureDir(path.dirname(filePath));
+    const temporaryPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temporaryPath, content);
+    await fs.rename(temporaryPath, filePath);
+  }
+
+  // Function to encode an image into every variant, or load them from the cache
+  // Returns { width, height, formats: [{ format, type, variants: [{ width, height, path, cacheFile }] }] }
+  // where the last format is the fallback for the <img> element
+  async function encodeImage(file) {
+    const input = await fs.readFile(file);
+    const key = crypto.createHash('sha256').update(input).update(settingsKey).digest('hex');
+    const metadataPath = cachePath(key, '.json');
+
+    if (await fs.pathExists(metadataPath)) {
+      const cached = await fs.readJson(metadataPath);
+      const cacheFiles = cached.formats.flatMap(format => format.variants.map(variant => variant.cacheFile));
+      if ((await Promise.all(cacheFiles.map(cacheFile => fs.pathExists(cacheFile)))).every(Boolean)) return cached;
+    }
+
+    if (!encoding.has(key)) {
+      encoding.set(key, encodeVariants(file, input, key).finally(() => encoding.delete(key)));
+    }
+    return await encoding.get(key);
+  }
+
+  // Function to encode the variants of an image into the cache (see encodeImage)
+  async function encodeVariants(file, input, key) {
+    const metadata = await loadSharp()(input).metadata();
+    // EXIF orientations 5-8 turn the image on its side
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const extension = path.extname(file).toLowerCase();
+    const baseName = path.basename(file, extension).replace(/[^\w-]+/g, '-');
+    const outputName = (suffix, format) => path.posix.join(options.output, `${baseName}${suffix}.${key.slice(0, 10)}.${format}`);
+    const result = { width, height, formats: [] };
+
+    if (COPIED_FORMATS.includes(metadata.format)) {
+      const cacheFile = cachePath(key, extension);
+      await writeCacheFile(cacheFile, input);
+      const format = extension.slice(1);
+      result.formats.push({ format, type: '', variants: [{ width, height, path: outputName('', format), cacheFile }] });
+    } else {
+      // The fallback keeps the original format where browsers can show it
+      const fallback = ['jpeg', 'png', 'webp'].includes(metadata.format) ? metadata.format : 'jpeg';
+      const formats = options.formats.filter(format => format !== fallback && FORMATS[format]).concat(fallback);
+
+      for (const format of formats) {
+        const variants = [];
+        for (const variantWidth of variantWidths(width)) {
+          const variantHeight = Math.round(height * variantWidth / width);
+          const cacheFile = cachePath(key, `-${variantWidth}.${format}`);
+          const encoded = await loadSharp()(input)
+            .rotate()
+            .resize(variantWidth)
+            .toFormat(format, { quality: options.quality })
+            .toBuffer();
+          await writeCacheFile(cacheFile, encoded);
+          variants.push({ width: variantWidth, height: variantHeight, path: outputName(`-${variantWidth}`, format), cacheFile });
+        }
+        result.formats.push({ format, type: FORMATS[format], variants });
+      }
+    }
+
+    await writeCacheFile(cachePath(key, '.json'), JSON.stringify(result));
+    return result;
+  }
+
+  // Function to render a plain <img>, for images that are not processed
+  function plainImage(href, title, text) {
+    const loading = options.lazy ? ' loading="lazy"' : '';
+    return `<img src="${escapeHtml(href)}" alt="${text}"${title ? ` title="${title}"` : ''}${loading}>`;
+  }
+
+  // Function to render a processed image as a <picture> (or an <img> when there is a single file)
+  function pictureHTML(encoded, title, text) {
+    const url = variant => escapeHtml(relURL(config, variant.path));
+    const srcset = variants => variants.map(variant => `${url(variant)} ${variant.width}w`).join(', ');
+    const sizes = escapeHtml(options.sizes);
+    const fallback = encoded.formats[encoded.formats.length - 1];
+    const largest = fallback.variants[fallback.variants.length - 1];
+
+    let img = `<img src="${url(largest)}"`;
+    if (fallback.variants.length > 1) img += ` srcset="${srcset(fallback.variants)}" sizes="${sizes}"`;
+    img += ` width="${largest.width}" height="${largest.height}" alt="${text}"`;
+    if (title) img += ` title="${title}"`;
+    if (options.lazy) img += ' loading="lazy" decoding="async"';
+    img += '>';
+
+    if (encoded.formats.length === 1) return img;
+    const sources = encoded.formats.slice(0, -1)
+      .map(format => `<source type="${format.type}" srcset="${srcset(format.variants)}" sizes="${sizes}">`);
+    return `<picture>${sources.join('')}${img}</picture>`;
+  }
+
+  // Function to render an image of a page; href, title and text (the alt text) are as marked
+  // passes them to its image renderer (title and text already escaped)
+  // Returns { html, image }, where image lists the files to write (null when nothing was processed):
+  // { source, stat, outputs: [{ path, cacheFile, hash }] }
+  async function render({ href, title, text }, page) {
+    if (!href || isRemote(href)) return { html: plainImage(href || '', title, text), image: null };
+
+    const file = await resolveImage(href, page.file || '');
+    if (!file) {
+      if (!missing.has(href)) {
+        missing.add(href);
+        console.warn(`Image not found: ${href} (in ${page.file})`);
+      }
+      return { html: plainImage(href, title, text), image: null };
+    }
+
+    let encoded;
+    try {
+      encoded = await encodeImage(file);
+    } catch (error) {
+      console.warn(`Could not process image ${file}: ${error.message}`);
+      return { html: plainImage(href, title, text), image: null };
+    }
+
+    const stat = await fs.stat(file);
+    const outputs = encoded.formats.flatMap(format => format.variants.map(variant => ({
+      path: variant.path,
+      cacheFile: variant.cacheFile,
+      hash: path.basename(variant.cacheFile)
+    })));
+    return {
+      html: pictureHTML(encoded, title, text),
+      image: { source: file, stat: `${stat.size}:${stat.mtimeMs}`, outputs }
+    };
+  }
+
+  // Function to read one output of an image, encoding the image again if the cache was cleared
+  async function load(image, output) {
+    if (!(await fs.pathExists(output.cacheFile))) await encodeImage(image.source);
+    return await fs.readFile(output.cacheFile);
+  }
+
+  return { render, load };
+}
+
+// Function to check whether any of the images of a page changed on disk since it was parsed
+async function imagesChanged(images = []) {
+  for (const image of images) {
+    if (!(await fs.pathExists(image.source))) return true;
+    const stat = await fs.stat(image.source);
+    if (`${stat.size}:${stat.mtimeMs}` !== image.stat) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  createImageProcessor,
+  imagesChanged,
+};
@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Languages of a multilingual site, declared in config.languages keyed by language code:
+//
+//   languages: { en: { name: 'English' }, ja: { name: '日本語', title: '私のブログ' } }
+//
+// config.language is the default language: its pages stay at the root of the site, the
+// others go under /<code>/ with their own index, section, term pages and feeds. A page's
+// language comes from its file name (posts/hello.ja.md) or a content/<code>/ tree
+// (content/ja/posts/hello.md); both are translations of posts/hello.md.
+// Sites without config.languages have one language and no language detection.
+
+// Function to turn config.languages into a list of languages, the default language first
+// Each is { code, name, title, description, prefix ('' or 'ja/'), isDefault, weight }
+function loadLanguages(config) {
+  const declared = config.languages || {};
+  const codes = Object.keys(declared);
+  if (!codes.includes(config.language)) codes.unshift(config.language);
+
+  const languages = [];
+  for (const code of codes) {
+    const options = declared[code] === false ? null : declared[code] || {};
+    if (!options) continue;
+
+    // Codes end up in paths and file names, so keep them to BCP 47-like tags
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(code)) {
+      console.warn(`Language "${code}" skipped: use a language code such as "en" or "pt-BR"`);
+      continue;
+    }
+
+    const isDefault = code === config.language;
+    languages.push({
+      code,
+      name: options.name || code,
+      title: options.title || config.title,
+      description: options.description !== undefined ? options.description : config.description,
+      prefix: isDefault ? '' : `${code}/`,
+      isDefault,
+      weight: Number(options.weight) || 0
+    });
+  }
+
+  // The default language first, then by weight and code (the order of language switchers)
+  return languages.sort((a, b) => b.isDefault - a.isDefault || a.weight - b.weight || (a.code < b.code ? -1 : a.code > b.code ? 1 : 0));
+}
+
+// Function to find the language of a content file and its path without the language
+// ('ja/posts/hello.md' and 'posts/hello.ja.md' -> { language: 'ja', file: 'posts/hello.md' })
+function splitLanguage(file, languages) {
+  const fallback = { language: languages[0].code, file };
+  if (languages.length === 1) return fallback;
+
+  const codes = languages.map(language => language.code);
+  const slash = file.indexOf('/');
+  if (slash !== -1 && codes.includes(file.slice(0, slash))) {
+    return { language: file.slice(0, slash), file: file.slice(slash + 1) };
+  }
+
+  const suffix = /\.([A-Za-z0-9-]+)\.md$/.exec(file);
+  if (suffix && codes.includes(suffix[1])) {
+    return { language: suffix[1], file: `${file.slice(0, suffix.index)}.md` };
+  }
+  return fallback;
+}
+
+// Function to get a taxonomy's settings for a language: term pages move under the language's prefix
+function languageTaxonomy(taxonomy, language) {
+  return language.prefix ? { ...taxonomy, url: `${language.prefix}${taxonomy.url}` } : taxonomy;
+}
+
+// Function to load the translated strings of every language from <dir>/<code>.json
+// Returns { en: { key: 'text', ... }, ja: { ... } }; nested objects are reached with dotted keys
+async function loadTranslations(dir, languages) {
+  const translations = {};
+  for (const language of languages) {
+    const filePath = path.join(dir, `${language.code}.json`);
+    if (!(await fs.pathExists(filePath))) continue;
+
+    try {
+      translations[language.code] = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`${filePath}: ${error.message}`);
+    }
+  }
+  return translations;
+}
+
+// Function to look up a translated string: the language's own, then the default language's
+// Returns undefined when neither has it; `{0}`, `{1}`, ... are replaced with args
+function translate(translations, languages, code, key, args = []) {
+  const lookup = table => String(key).split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), table);
+
+  let text = lookup(translations[code]);
+  if (text === undefined) text = lookup(translations[languages[0].code]);
+  if (text === undefined || typeof text === 'object') return undefined;
+  return String(text).replace(/\{(\d+)\}/g, (placeholder, index) => (index < args.length ? String(args[index]) : placeholder));
+}
+
+module.exports = {
+  loadLanguages,
+  splitLanguage,
+  languageTaxonomy,
+  loadTranslations,
+  translate,
+};
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const marked = require('marked');
+const { escapeHtml, stripHtml } = require('./templateEngine');
+
+// Markdown processing for pages and section _index.md files, set up by config.markdown:
+//
+//   - fenced code blocks that name their language (```json) are highlighted with highlight.js
+//   - headings get ids (`## Title {#custom-id}` sets one) and, with `anchors`, a link to themselves
+//   - headings in `tocLevels` are collected into a table of contents
+//   - `[^note]` references and `[^note]: text` definitions become numbered footnotes
+//   - images are handed to renderImage (see images.js), which resizes local ones
+//   - shortcodes such as {{< youtube id >}} or {{< note >}}text{{< /note >}} are rendered from
+//     shortcodes/<name>.html before the markdown is parsed; {{</* name */>}} is left as text
+
+// A shortcode tag: {{< name args >}}, {{< /name >}} or the escaped {{</* name args */>}}
+const SHORTCODE_PATTERN = /\{\{<\s*(\/\*)?\s*(\/)?([\w-]+)((?:\s+(?:[\w-]+=)?(?:"(?:[^"\\]|\\.)*"|'[^']*'|(?!\*\/)[^\s"'>]+))*)\s*(\*\/)?\s*>\}\}/g;
+
+// One shortcode argument: positional (a value) or named (name=value), quoted or bare
+const ARG_PATTERN = /(?:([\w-]+)=)?(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s"']+))/g;
+
+// Footnote references and definitions; both are left alone unless footnotes are enabled
+marked.use({
+  extensions: [
+    {
+      name: 'footnoteDef',
+      level: 'block',
+      start: src => {
+        const match = src.match(/^\[\^[^\]\s]+\]:/m);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        if (!this.lexer.options.footnotes) return undefined;
+        const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n[ \t]+[^\n]*)*)(?:\n+|$)/.exec(src);
+        if (!match) return undefined;
+
+        const token = { type: 'footnoteDef', raw: match[0], id: match[1], text: match[2].replace(/\n[ \t]+/g, ' ').trim(), tokens: [] };
+        this.lexer.inline(token.text, token.tokens);
+        return token;
+      },
+      renderer: () => '' // Collected at the end of the page, see renderFootnotes
+    },
+    {
+      name: 'footnoteRef',
+      level: 'inline',
+      start: src => {
+        const index = src.indexOf('[^');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer(src) {
+        if (!this.lexer.options.footnotes) return undefined;
+        const match = /^\[\^([^\]\s]+)\]/.exec(src);
+        return match ? { type: 'footnoteRef', raw: match[0], id: match[1] } : undefined;
+      },
+      // References without a definition stay as written
+      renderer: token => (token.footnote
+        ? `<sup class="footnote-ref"><a href="#fn-${token.footnote.slug}" id="${token.refId}">${token.footnote.number}</a></sup>`
+        : escapeHtml(token.raw))
+    }
+  ]
+});
+
+let hljs = null;
+
+// Function to highlight a code block; null leaves it to marked (plain and escaped)
+function highlight(code, language) {
+  if (!language) return null;
+  hljs = hljs || require('highlight.js'); // Loaded on first use, it registers every language
+  if (!hljs.getLanguage(language)) return null;
+  return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+}
+
+// Function to parse the arguments of a shortcode into positional args and named params
+function parseShortcodeArgs(argText) {
+  const args = [];
+  const params = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of argText.matchAll(ARG_PATTERN)) {
+    const value = doubleQuoted !== undefined ? doubleQuoted.replace(/\\(.)/g, '$1') : singleQuoted !== undefined ? singleQuoted : bare;
+    if (name) params[name] = value;
+    else args.push(value);
+  }
+  return { args, params };
+}
+
+// Function to find the closing tag of a shortcode opened before `from`, allowing nested ones of the same name
+function findClosingTag(text, name, from) {
+  const pattern = new RegExp(SHORTCODE_PATTERN.source, 'g');
+  pattern.lastIndex = from;
+  let depth = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, escapeOpen, closing, tagName] = match;
+    if (escapeOpen || tagName !== name) continue;
+    if (!closing) {
+      depth++;
+    } else if (depth === 0) {
+      return { start: match.index, end: pattern.lastIndex };
+    } else {
+      depth--;
+    }
+  }
+  return null;
+}
+
+// Function to build a table of contents (nested lists) from a page's headings
+function renderToc(headings) {
+  if (headings.length === 0) return '';
+
+  const topLevel = Math.min(...headings.map(heading => heading.level));
+  let html = '';
+  let depth = 0;
+  for (const heading of headings) {
+    const level = heading.level - topLevel + 1;
+    if (level > depth) {
+      while (depth < level) {
+        html += '<ul><li>';
+        depth++;
+      }
+    } else {
+      html += '</li>';
+      while (depth > level) {
+        html += '</ul></li>';
+        depth--;
+      }
+      html += '<li>';
+    }
+    html += `<a href="#${heading.id}">${heading.html}</a>`;
+  }
+  while (depth > 0) {
+    html += '</li></ul>';
+    depth--;
+  }
+  return `<nav class="toc">${html}</nav>`;
+}
+
+// Function to create the markdown renderer
+// renderShortcode(name, { args, params, inner }, page) returns the HTML of one shortcode;
+// renderImage({ href, title, text }, page), when given, returns { html, image } for one image
+function createMarkdownRenderer(options, { slugify, renderShortcode, renderImage }) {
+  const tocLevels = options.tocLevels || [];
+
+  // Function to replace the shortcodes in a text; `insert` turns each result into what goes in its place
+  async function expandShortcodes(text, page, insert) {
+    const pattern = new RegExp(SHORTCODE_PATTERN.source, 'g');
+    let output = '';
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      const [raw, escapeOpen, closing, name, argText, escapeClose] = match;
+      output += text.slice(position, match.index);
+      position = pattern.lastIndex;
+
+      if (escapeOpen && escapeClose) {
+        output += raw.replace(/^\{\{<\s*\/\*/, '{{<').replace(/\*\/\s*>\}\}$/, '>}}');
+        continue;
+      }
+      if (closing) {
+        console.warn(`Closing shortcode {{< /${name} >}} without an opening one (in ${page.file})`);
+        continue;
+      }
+
+      // A shortcode with a closing tag gets the text in between, with its own shortcodes rendered
+      let inner = null;
+      const close = findClosingTag(text, name, pattern.lastIndex);
+      if (close) {
+        inner = await expandShortcodes(text.slice(pattern.lastIndex, close.start), page, html => html);
+        position = close.end;
+        pattern.lastIndex = close.end;
+      }
+
+      output += insert(await renderShortcode(name, { ...parseShortcodeArgs(argText), inner }, page));
+    }
+
+    return output + text.slice(position);
+  }
+
+  // Function to render the images of a page ahead of marked's parser, which can't wait for them
+  // Returns a map from each image's href, title and alt text to its HTML, and the images processed
+  async function renderImages(tokens, page) {
+    const imageTokens = [];
+    marked.walkTokens(tokens, token => {
+      if (token.type === 'image') imageTokens.push(token);
+    });
+
+    const rendered = new Map();
+    const images = [];
+    for (const { href, title, text } of imageTokens) {
+      const key = imageKey(href, title, text);
+      if (rendered.has(key)) continue;
+
+      const { html, image } = await renderImage({ href, title, text }, page);
+      rendered.set(key, html);
+      if (image) images.push(image);
+    }
+    return { rendered, images };
+  }
+
+  // Function to render a page's markdown; page is { file, data } (for shortcodes, images and warnings)
+  // Returns { html, toc, images }, where images are the processed images (see images.js)
+  async function render(markdown, page = {}) {
+    // Shortcode output is kept out of markdown parsing behind placeholders
+    const placeholders = [];
+    const nonce = crypto.randomBytes(4).toString('hex');
+    const source = await expandShortcodes(String(markdown || ''), page, html => {
+      placeholders.push(html);
+      return `shortcode${nonce}x${placeholders.length - 1}x`;
+    });
+
+    const headings = [];
+    const usedIds = new Map();
+    const renderer = new marked.Renderer();
+    renderer.heading = (text, level) => {
+      const custom = /\s*\{#([\w-]+)\}\s*$/.exec(text);
+      const html = custom ? text.slice(0, custom.index) : text;
+      let id = custom ? custom[1] : slugify(stripHtml(html)) || 'section';
+
+      // Repeated headings get -1, -2, ... like most markdown processors
+      const count = usedIds.get(id) || 0;
+      usedIds.set(id, count + 1);
+      if (count > 0) id = `${id}-${count}`;
+
+      if (tocLevels.includes(level)) headings.push({ level, id, html });
+      const anchor = options.anchors ? `<a class="heading-anchor" href="#${id}" aria-label="Link to this section"></a>` : '';
+      return `<h${level} id="${id}">${html}${anchor}</h${level}>\n`;
+    };
+
+    const markedOptions = {
+      ...marked.defaults,
+      renderer,
+      footnotes: options.footnotes,
+      highlight: options.highlight ? highlight : null,
+      langPrefix: options.highlight ? 'hljs language-' : 'language-'
+    };
+    const tokens = marked.lexer(source, markedOptions);
+    const footnotes = numberFootnotes(tokens, slugify);
+
+    let images = [];
+    if (renderImage) {
+      const result = await renderImages(tokens, page);
+      images = result.images;
+      renderer.image = (href, title, text) => result.rendered.get(imageKey(href, title, text));
+    }
+
+    let html = marked.parser(tokens, markedOptions) + renderFootnotes(footnotes, markedOptions);
+    let toc = renderToc(headings);
+
+    if (placeholders.length > 0) {
+      const restore = value => value
+        .replace(new RegExp(`<p>shortcode${nonce}x(\\d+)x</p>\\n?`, 'g'), (_, index) => placeholders[index])
+        .replace(new RegExp(`shortcode${nonce}x(\\d+)x`, 'g'), (_, index) => placeholders[index]);
+      html = restore(html);
+      toc = restore(toc);
+    }
+
+    return { html, toc, images };
+  }
+
+  return { render };
+}
+
+// Function to identify an image by what marked passes to its image renderer
+function imageKey(href, title, text) {
+  return `${href}\u0000${title || ''}\u0000${text}`;
+}
+
+// Function to number the footnotes of a page in the order they are first referenced
+// Returns the referenced footnotes, each { slug, number, definition }
+function numberFootnotes(tokens, slugify) {
+  const definitions = new Map();
+  marked.walkTokens(tokens, token => {
+    if (token.type === 'footnoteDef' && !definitions.has(token.id)) definitions.set(token.id, token);
+  });
+  if (definitions.size === 0) return [];
+
+  const footnotes = new Map();
+  marked.walkTokens(tokens, token => {
+    if (token.type !== 'footnoteRef' || !definitions.has(token.id)) return;
+
+    if (!footnotes.has(token.id)) {
+      const number = footnotes.size + 1;
+      footnotes.set(token.id, { slug: slugify(token.id) || String(number), number, definition: definitions.get(token.id), refs: 0 });
+    }
+    const footnote = footnotes.get(token.id);
+    footnote.refs++;
+    token.footnote = footnote;
+    token.refId = footnote.refs === 1 ? `fnref-${footnote.slug}` : `fnref-${footnote.slug}-${footnote.refs}`;
+  });
+  return Array.from(footnotes.values());
+}
+
+// Function to render the list of footnotes at the end of a page, linking back to the first reference
+function renderFootnotes(footnotes, markedOptions) {
+  if (footnotes.length === 0) return '';
+
+  const items = footnotes.map(({ slug, definition }) => {
+    const html = new marked.Parser(markedOptions).parseInline(definition.tokens);
+    return `<li id="fn-${slug}">${html} <a href="#fnref-${slug}" class="footnote-backref" aria-label="Back to the text">&#8617;</a></li>`;
+  });
+  return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+}
+
+module.exports = {
+  createMarkdownRenderer,
+};
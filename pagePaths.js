@@ -0,0 +1,27 @@
+const path = require('path');
+const { splitLanguage } = require('./languages');
+
+// Where a content file ends up: its section and its slug. Shared by the renderer and the
+// data importer (slugRegistry.js), which has to know the slugs hand-written pages take
+// without loading the renderer.
+
+// Function to get the section of a content file: its directory relative to content/ ('' for the root)
+function sectionOf(file) {
+  const dir = path.posix.dirname(file);
+  return dir === '.' ? '' : dir;
+}
+
+// Function to get the slug of a content page: its path without .md, lowercased, under its
+// language's prefix; a `slug:` in front matter replaces the file name within its section
+// ('posts/hello.ja.md' -> 'ja/posts/hello'). slugify is the site's slugger (see slugger.js)
+function pageSlug(file, data, languages, slugify) {
+  const { language, file: pageFile } = splitLanguage(file, languages);
+  const { prefix } = languages.find(candidate => candidate.code === language);
+  const slugOverride = data.slug ? slugify(String(data.slug)) : '';
+  return prefix + (slugOverride ? path.posix.join(sectionOf(pageFile), slugOverride) : pageFile.replace('.md', '').toLowerCase());
+}
+
+module.exports = {
+  sectionOf,
+  pageSlug,
+};
@@ -0,0 +1,320 @@
+const matter = require('gray-matter');
+
+const templateEngine = require('./templateEngine');
+const searchIndex = require('./searchIndex');
+const { hashContent } = require('./buildManifest');
+const { relURL, absURL } = require('./siteConfig');
+const { createSlugger } = require('./slugger');
+const { pageTerms, termPageURL } = require('./taxonomies');
+const { createMarkdownRenderer } = require('./markdown');
+const { createImageProcessor } = require('./images');
+const { loadLanguages, splitLanguage, languageTaxonomy, translate } = require('./languages');
+const { sectionOf, pageSlug } = require('./pagePaths');
+const { createIssueLog, findSchema, validateFrontMatter } = require('./checks');
+
+// Parsing and rendering of single pages. ssg.js and the render workers (renderWorker.js)
+// each create one renderer, so a page comes out the same whichever thread handles it.
+// Everything a renderer is given or returns is plain data that can be sent between threads:
+// a page source is { file, content } for a markdown file or { file, page: { data, body } }
+// for a virtual page from a data source.
+
+const DATE_FIELDS = ['date', 'publishDate', 'expiryDate', 'lastmod'];
+
+// Length of the plain-text summary kept for feeds when front matter has no summary
+const summaryLength = 300;
+
+// Function to turn a front matter value into something sortable (dates become timestamps)
+function toSortValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  return String(value);
+}
+
+// Function to create a renderer
+// options: { taxonomies, sites (the {{ site.* }} values of each language, by code),
+// loadTemplate(kind, name) -> source, where kind is 'layout', 'partial' or 'shortcode',
+// contentDir (where pages and their images are), plugins (see plugins.js),
+// check (also report `{{ values }}` that are undefined) }
+function createPageRenderer(config, { taxonomies, sites, loadTemplate, contentDir, plugins, check = false }) {
+  // Shared slug function for tag paths, `slug:` front matter and the slugify filter (the importer uses the same settings)
+  const slugify = createSlugger(config.slug);
+  const undeclaredTaxonomies = new Map();
+  const languages = loadLanguages(config);
+  const defaultSite = () => sites[languages[0].code];
+  // Template problems; printed as they come up, except in `node ssg.js check`, which reports them at the end
+  const issues = createIssueLog({ print: !check });
+
+  // Function to find the language a template is rendered in, from its site.language
+  function templateLanguage(options) {
+    const code = options && options.root && options.root.site ? options.root.site.language : null;
+    return languages.find(language => language.code === code) || languages[0];
+  }
+
+  // Function to find a taxonomy by name; a template linking to an undeclared one gets a warning
+  // and a link in the default URL pattern, though no pages are generated for it
+  function getTaxonomy(name) {
+    const key = String(name);
+    const taxonomy = taxonomies.find(candidate => candidate.name === key);
+    if (taxonomy) return taxonomy;
+
+    if (!undeclaredTaxonomies.has(key)) {
+      console.warn(`Taxonomy "${key}" is linked from a template but not declared in config.taxonomies`);
+      undeclaredTaxonomies.set(key, { name: key, url: `tags/${slugify(key)}/:slug/` });
+    }
+    return undeclaredTaxonomies.get(key);
+  }
+
+  // Helper function to sanitize terms into the slugs of their pages
+  // Values with nothing left to slug (e.g. "???") get a short hash so they still have a page
+  function sanitizeTagValue(tagValue) {
+    return slugify(tagValue) || `tag-${hashContent(tagValue).slice(0, 8)}`;
+  }
+
+  // Template helpers: {{ relURL "tags/" }} -> "/yuushacms/tags/", {{ absURL "feed.xml" }} -> "https://host/yuushacms/feed.xml"
+  templateEngine.registerHelper('relURL', (target) => relURL(config, target));
+  templateEngine.registerHelper('absURL', (target) => absURL(config, target));
+
+  // Template helper: {{ relLangURL "tags/" }} -> "/yuushacms/ja/tags/" on Japanese pages, like relURL elsewhere
+  templateEngine.registerHelper('relLangURL', (target, options) => {
+    const value = String(target);
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return value; // Absolute or a fragment
+    return relURL(config, templateLanguage(options).prefix + value.replace(/^\/+/, ''));
+  });
+
+  // Template helper: {{ tagURL "director" director }} -> URL of that term's page in the page's language
+  templateEngine.registerHelper('tagURL', (name, term, options) =>
+    termPageURL(config, languageTaxonomy(getTaxonomy(name), templateLanguage(options)), sanitizeTagValue(String(term))));
+
+  // Template helper: {{ i18n "readMore" }} -> the string from i18n/<language>.json, falling back to
+  // the default language's; {{ i18n "pageOf" currentPage totalPages }} fills in {0} and {1}
+  templateEngine.registerHelper('i18n', (key, ...args) => {
+    const language = templateLanguage(args.pop());
+    const text = translate(defaultSite().i18n || {}, languages, language.code, key, args);
+    if (text !== undefined) return text;
+
+    issues.add('warning', 'template', `Missing translation: "${key}" (${language.code})`);
+    return String(key);
+  });
+
+  // Template helper: {{ sanitize value }} turns a tag value (or list of values) into its URL form
+  templateEngine.registerHelper('sanitize', (tagValue) => {
+    if (!tagValue) return '';
+    return Array.isArray(tagValue) ? tagValue.map(sanitizeTagValue) : sanitizeTagValue(String(tagValue));
+  });
+
+  // Template helper: {{ asset "styles.css" }} -> "/yuushacms/styles.3f2a9c81d0.css", the built file of assets/styles.css
+  // Names that are not an asset get a warning (once) and a plain relURL, e.g. for a file in static/
+  const missingAssets = new Set();
+  templateEngine.registerHelper('asset', (name) => {
+    const key = String(name);
+    const { assets } = defaultSite();
+    if (assets && key in assets) return assets[key];
+    if (!missingAssets.has(key)) {
+      missingAssets.add(key);
+      console.warn(`Asset not found: ${key} (linked without a fingerprint)`);
+    }
+    return relURL(config, key);
+  });
+
+  // Template filter: {{ title | slugify }} uses the site's slug settings
+  templateEngine.registerFilter('slugify', value => (value === undefined || value === null ? value : slugify(String(value))));
+
+  // Helpers and filters of plugins, registered last so they can replace the ones above
+  Object.entries(plugins.helpers).forEach(([name, fn]) => templateEngine.registerHelper(name, fn));
+  Object.entries(plugins.filters).forEach(([name, fn]) => templateEngine.registerFilter(name, fn));
+
+  // Function to render a template with context and partials
+  async function renderTemplate(template, context = {}, name = 'template') {
+    if (!template) {
+      issues.add('error', 'template', 'Layout not found (or empty)', name);
+      return '';
+    }
+
+    context.currentYear = new Date().getFullYear();
+    context.site = context.site || defaultSite();
+
+    return await templateEngine.render(template, context, {
+      name,
+      resolvePartial: partialName => loadTemplate('partial', partialName),
+      onMissingPartial: (partialName, templateName, line) => {
+        issues.add('error', 'template', `Partial not found: ${partialName}`, `${templateName}:${line}`);
+      },
+      onUndefined: check ? (expression, templateName, line) => {
+        issues.add('warning', 'template', `{{ ${expression} }} is undefined`, `${templateName}:${line}`);
+      } : null
+    });
+  }
+
+  // Function to render content into base.html
+  async function renderWithBase(templateContent, context = {}) {
+    const baseTemplate = await loadTemplate('layout', 'base');
+    return await renderTemplate(baseTemplate, { ...context, content: templateContent }, 'base.html');
+  }
+
+  // Function to render a page: its layout (single, index, section, term, terms) inside base.html,
+  // with the onBeforeRender and onAfterRender hooks of plugins around it
+  // baseContext ({ title, url, site, translations }) is what base.html gets
+  async function renderPage(layoutName, context, baseContext) {
+    const page = { layout: layoutName, url: baseContext.url };
+    const layoutContext = await plugins.run('onBeforeRender', context, page);
+    const renderedContent = await renderTemplate(await loadTemplate('layout', layoutName), layoutContext, `${layoutName}.html`);
+    const html = await renderWithBase(renderedContent, baseContext);
+    return await plugins.run('onAfterRender', html, page);
+  }
+
+  async function generateSingleHTML(title, content, fileName, context = {}, layoutName = 'single') {
+    const finalTitle = (title || fileName.replace('.md', '')).replace(/-/g, ' ').toLowerCase();
+
+    // Merge the existing context with the new data
+    const page = { ...context, title: finalTitle, content };
+    const mergedContext = { ...page, page };
+
+    return await renderPage(layoutName, mergedContext, {
+      title: finalTitle,
+      url: context.url,
+      site: context.site,
+      translations: context.translations || []
+    });
+  }
+
+  // Function to render a shortcode from shortcodes/<name>.html; its context is the named
+  // params, `args` (positional values), `inner` (the text between paired tags) and `page`
+  async function renderShortcode(name, { args, params, inner }, page) {
+    const template = await loadTemplate('shortcode', name);
+    if (!template) {
+      issues.add('error', 'template', `Shortcode not found: ${name}`, page.file);
+      return '';
+    }
+    return await renderTemplate(template, { ...params, args, inner, page: page.data, site: sites[page.language] }, `shortcodes/${name}.html`);
+  }
+
+  const images = config.images.enabled ? createImageProcessor(config, { contentDir, staticDir: config.static.dir }) : null;
+  const markdown = createMarkdownRenderer(config.markdown, { slugify, renderShortcode, renderImage: images && images.render });
+
+  // Function to add `<field>ISO` and `<field>Formatted` for each date field in front matter
+  function formatDateFields(data) {
+    const fields = {};
+    DATE_FIELDS.forEach(field => {
+      const date = templateEngine.toDate(data[field]);
+      if (!date) return;
+      fields[`${field}ISO`] = date.toISOString();
+      fields[`${field}Formatted`] = templateEngine.formatDate(date, config.dateFormat);
+    });
+    return fields;
+  }
+
+  // Function to parse a page source into its front matter, date fields, HTML, table of contents
+  // and processed images
+  async function parsePageContent(source) {
+    const { data, content } = source.page
+      ? { data: { ...source.page.data }, content: source.page.body }
+      : matter(source.content);
+    const { language } = splitLanguage(source.file, languages);
+    // Plugins get the front matter and markdown first (e.g. plugins/split-fields.js)
+    const page = await plugins.run('onPageParsed', { file: source.file, data, content, language });
+    const { html, toc, images: pageImages } = await markdown.render(page.content, { file: source.file, data: page.data, language });
+    return { data: page.data, dateFields: formatDateFields(page.data), htmlContent: html, toc, images: pageImages };
+  }
+
+  // Function to create the manifest entry of a parsed page (see parsePageContent)
+  // sourceHash and parseKey are recorded so unchanged pages are not parsed again
+  function createPageEntry(file, sourceHash, parsed, parseKey) {
+    const { data, dateFields, htmlContent, images: pageImages } = parsed;
+
+    if (!data.title) {
+      return { hash: sourceHash, skipped: true, parseKey };
+    }
+
+    const publishState = {
+      draft: data.draft === true,
+      publishDate: dateFields.publishDateISO || null,
+      expiryDate: dateFields.expiryDateISO || null
+    };
+
+    const { language, file: pageFile } = splitLanguage(file, languages);
+    const section = sectionOf(pageFile);
+    const layoutOverride = data.layout ? String(data.layout) : null;
+    const problems = validateFrontMatter(data, findSchema(config.check.schemas, section));
+
+    // Pages of other languages than the default go under their language's prefix (ja/posts/hello.html)
+    const slug = pageSlug(file, data, languages, slugify);
+    const output = `${slug}.html`;
+
+    const summary = String(data.summary || data.description || '') ||
+      templateEngine.stripHtml(htmlContent).slice(0, summaryLength);
+
+    const postTitle = (data.title || slug.replace(/-/g, ' ')).toLowerCase();
+
+    // Record the terms of each taxonomy so unchanged pages don't need parsing next time
+    const tags = {};
+    const tagValues = [];
+    taxonomies.forEach(taxonomy => {
+      const terms = pageTerms(data, taxonomy);
+      if (terms.length === 0) return;
+
+      const slugs = new Set();
+      tags[taxonomy.name] = terms
+        .map(term => ({ slug: sanitizeTagValue(String(term)), name: String(term) }))
+        .filter(({ slug }) => !slugs.has(slug) && slugs.add(slug));
+      tagValues.push(...terms);
+    });
+
+    // Search terms are kept with the page as well, so the index can be rebuilt without parsing
+    const search = config.search.enabled
+      ? searchIndex.createSearchDocument(data, { text: templateEngine.stripHtml(htmlContent), summary, tagValues }, config.search)
+      : null;
+
+    return {
+      hash: sourceHash,
+      output,
+      section,
+      layout: layoutOverride,
+      language,
+      // Pages with the same key are translations of each other: the path without the language, or `translationKey:`
+      translationKey: data.translationKey ? String(data.translationKey) : pageFile.replace(/\.md$/, ''),
+      ...publishState,
+      lastmod: dateFields.lastmodISO || dateFields.dateISO || null,
+      summary,
+      search,
+      parseKey,
+      images: pageImages, // Written by ssg.js; a change to one of their files parses the page again
+      problems, // Front matter that doesn't match config.check.schemas, reported by ssg.js on every build
+      sortValue: toSortValue(data[config.sort.by]),
+      post: {
+        title: postTitle,
+        url: relURL(config, output),
+        section,
+        language,
+        date: dateFields.dateISO || null,
+        dateFormatted: dateFields.dateFormatted || null
+      },
+      tags
+    };
+  }
+
+  // Function to render the single page of a post with a resolved layout
+  // parsed is the result of parsePageContent when the caller has it, otherwise the source is parsed here;
+  // links ({ url (of the page itself), prevPost, nextPost, related, translations }) are added to the context
+  async function renderSingle({ source, parsed, section, language, layoutName, links }) {
+    const { data, dateFields, htmlContent, toc } = parsed || await parsePageContent(source);
+    const context = { ...data, ...dateFields, section, content: htmlContent, toc, ...links, site: sites[language] };
+    return await generateSingleHTML(data.title, htmlContent, source.file, context, layoutName);
+  }
+
+  return {
+    renderTemplate,
+    renderWithBase,
+    renderPage,
+    renderMarkdown: markdown.render,
+    loadImage: (image, output) => images.load(image, output),
+    parsePageContent,
+    createPageEntry,
+    renderSingle,
+    takeIssues: issues.take
+  };
+}
+
+module.exports = {
+  createPageRenderer,
+};
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { hashContent } = require('./buildManifest');
+
+// Plugins hook into the build. Every .js file in config.plugins.dir (plugins/) is a plugin,
+// filtered by config.plugins.include/exclude like layouts; config.plugins.use adds more by
+// package name or path, or as plugin objects written right in site.config.js. A plugin
+// exports an object, or a function (options) => object, with any of:
+//
+//   name                          used in messages (default: the file name)
+//   helpers: { name: fn }         template helpers, {{ name arg1 arg2 }} (see templateEngine.js)
+//   filters: { name: fn }         template filters, {{ value | name: arg }}
+//   onConfig(config)              change settings before the build reads them (synchronous)
+//   onSourceData(pages)           the virtual pages of every data source, { file, data, body };
+//                                 change them, drop some or add new ones
+//   onPageParsed(page)            a page's { file, data, content, language } before its markdown is rendered
+//   onBeforeRender(context)       the template context of a page's layout (single, index, section, term, terms)
+//   onAfterRender(html)           the finished HTML of a page
+//   onBuildEnd(summary)           { outputDir, posts, stats } once everything is written
+//
+// Hooks run in plugin order. Each can change its value in place or return a replacement. The
+// second argument is { config, options }, plus
+// { layout, url } of the page for the render hooks.
+// A plugin's options are config.plugins.options[<file or package name>] (for plugin objects
+// in config.plugins.use, their name). Pages are parsed and rendered on worker threads too,
+// which load the plugins themselves.
+
+// Hooks a plugin can declare
+const HOOKS = ['onConfig', 'onSourceData', 'onPageParsed', 'onBeforeRender', 'onAfterRender', 'onBuildEnd'];
+
+// Function to find the plugins to load: { name, file } for modules, { name, plugin } for objects
+function listPlugins(settings) {
+  const { dir, include = [], exclude = [], use = [] } = settings;
+  const entries = [];
+
+  if (dir && fs.pathExistsSync(dir)) {
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+      const name = path.basename(file, '.js');
+      if ((include.length === 0 || include.includes(name)) && !exclude.includes(name)) {
+        entries.push({ name, file: path.resolve(dir, file) });
+      }
+    }
+  }
+
+  for (const entry of use) {
+    if (typeof entry === 'string') {
+      // Paths are relative to the site; anything else is a package in node_modules
+      const request = entry.startsWith('.') || path.isAbsolute(entry) ? path.resolve(entry) : entry;
+      const file = require.resolve(request, { paths: [process.cwd()] });
+      entries.push({ name: path.basename(entry, '.js'), file });
+    } else if (entry && (typeof entry === 'object' || typeof entry === 'function')) {
+      entries.push({ name: entry.name || `plugin-${entries.length + 1}`, plugin: entry });
+    } else {
+      throw new Error(`config.plugins.use: expected a package name, a path or a plugin object, got ${JSON.stringify(entry)}`);
+    }
+  }
+  return entries;
+}
+
+// Function to load the plugins of config.plugins and run their onConfig hooks
+// Returns { names, key (hash of the plugins' code and options, for incremental builds),
+// helpers, filters, run(hook, value, extra) -> the value after every plugin's hook }
+function loadPlugins(config) {
+  const settings = config.plugins || {};
+  const allOptions = settings.options || {};
+  const plugins = [];
+  const keyParts = [];
+
+  for (const entry of listPlugins(settings)) {
+    const exported = entry.file ? require(entry.file) : entry.plugin;
+    const options = allOptions[entry.name] || {};
+    const plugin = typeof exported === 'function' ? exported(options) : exported;
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin ${entry.name} should export an object or a function returning one`);
+    }
+
+    const name = plugin.name || entry.name;
+    const unknown = Object.keys(plugin).filter(key => /^on[A-Z]/.test(key) && !HOOKS.includes(key));
+    if (unknown.length > 0) {
+      console.warn(`Plugin ${name}: unknown hook ${unknown.join(', ')} (hooks: ${HOOKS.join(', ')})`);
+    }
+    plugins.push({ name, plugin, options });
+
+    // A change to a plugin's code or options renders every page again
+    const code = entry.file
+      ? fs.readFileSync(entry.file, 'utf-8')
+      : Object.values(plugin).map(value => (typeof value === 'function' ? value.toString() : value));
+    keyParts.push(name, code, options);
+  }
+
+  // Function to call one hook of every plugin in turn, passing each the value the previous one left
+  async function run(hook, value, extra = {}) {
+    let current = value;
+    for (const { name, plugin, options } of plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      try {
+        const result = await plugin[hook](current, { ...extra, config, options });
+        if (result !== undefined) current = result;
+      } catch (error) {
+        throw new Error(`Plugin ${name} failed in ${hook}: ${error.message}`);
+      }
+    }
+    return current;
+  }
+
+  // onConfig runs right away, before anything reads the settings
+  for (const { name, plugin, options } of plugins) {
+    if (typeof plugin.onConfig !== 'function') continue;
+    const result = plugin.onConfig(config, { config, options });
+    if (result && typeof result.then === 'function') {
+      throw new Error(`Plugin ${name}: onConfig has to be synchronous`);
+    }
+    if (result && result !== config) Object.assign(config, result);
+  }
+
+  const helpers = {};
+  const filters = {};
+  plugins.forEach(({ plugin }) => {
+    Object.assign(helpers, plugin.helpers);
+    Object.assign(filters, plugin.filters);
+  });
+
+  return {
+    names: plugins.map(({ name }) => name),
+    key: hashContent(...keyParts),
+    helpers,
+    filters,
+    run
+  };
+}
+
+module.exports = {
+  loadPlugins,
+};
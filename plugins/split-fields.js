@@ -0,0 +1,16 @@
+// Splits front matter fields holding several values in one string ("Tom Hanks, Meg Ryan")
+// into lists, so every value becomes its own term. Options (config.plugins.options['split-fields']):
+//   fields: front matter fields to split, e.g. ['cast']
+//   separator: what the values are separated by (default ',')
+module.exports = ({ fields = [], separator = ',' } = {}) => ({
+  name: 'split-fields',
+
+  onPageParsed(page) {
+    for (const field of fields) {
+      const value = page.data[field];
+      if (typeof value === 'string') {
+        page.data[field] = value.split(separator).map(item => item.trim()).filter(Boolean);
+      }
+    }
+  }
+});
@@ -0,0 +1,67 @@
+// Links from a single page to other posts: the previous and next post of its section
+// by date, and related posts scored by the taxonomy terms they share with it. Posts
+// here are the `post` objects of manifest entries ({ title, url, section, date, ... }).
+
+// Function to map each post to { prevPost, nextPost }, its neighbours in its section from
+// oldest to newest; posts without a date come after the dated ones, in listing order
+function sectionNeighbours(posts) {
+  const bySection = new Map();
+  posts.forEach(post => {
+    if (!bySection.has(post.section)) bySection.set(post.section, []);
+    bySection.get(post.section).push(post);
+  });
+
+  const neighbours = new Map();
+  bySection.forEach(sectionPosts => {
+    const dated = sectionPosts.filter(post => post.date)
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    const ordered = dated.concat(sectionPosts.filter(post => !post.date));
+
+    ordered.forEach((post, index) => {
+      neighbours.set(post, {
+        prevPost: ordered[index - 1] || null,
+        nextPost: ordered[index + 1] || null
+      });
+    });
+  });
+  return neighbours;
+}
+
+// Function to create a function that lists the related posts of a page entry
+// Every term a post shares with the page adds the weight of its taxonomy (options.weights,
+// 1 when not listed) to the post's score. Terms on more than options.maxTermPosts posts
+// are skipped: they relate almost everything and would take long to score on large sites.
+// Ties keep the listing order of `posts`.
+function createRelatedFinder(posts, tagData, options) {
+  const weights = options.weights || {};
+  const listingOrder = new Map(posts.map((post, index) => [post, index]));
+
+  return (page) => {
+    if (!options.count) return [];
+
+    const scores = new Map();
+    for (const taxonomyName in page.tags) {
+      const weight = taxonomyName in weights ? Number(weights[taxonomyName]) : 1;
+      if (!weight || !tagData[taxonomyName]) continue;
+
+      page.tags[taxonomyName].forEach(({ slug }) => {
+        const term = tagData[taxonomyName][slug];
+        if (!term || term.posts.length > options.maxTermPosts) return;
+
+        term.posts.forEach(post => {
+          if (post !== page.post) scores.set(post, (scores.get(post) || 0) + weight);
+        });
+      });
+    }
+
+    return Array.from(scores)
+      .sort((a, b) => b[1] - a[1] || listingOrder.get(a[0]) - listingOrder.get(b[0]))
+      .slice(0, options.count)
+      .map(([post]) => post);
+  };
+}
+
+module.exports = {
+  sectionNeighbours,
+  createRelatedFinder,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+
+const { loadConfig } = require('./siteConfig');
+const { createPageRenderer } = require('./pageRenderer');
+const { loadPlugins } = require('./plugins');
+
+// Tasks that ssg.js hands to its worker pool (see workerPool.js). The same handlers run
+// on the main thread when the build does not use workers.
+//
+//   site:   { <language code>: { posts, tags, ... } } -> merged into each language's {{ site.* }}
+//           before singles are rendered
+//   parse:  { source, hash, parseKey } -> { entry (the manifest entry), parsed }
+//   render: { source, parsed, section, language, layoutName, links } -> HTML of the single page
+//   issues: -> the template problems found since the last call (see checks.js)
+
+// Function to create the task handlers around a renderer and the site values of each language it renders with
+function createTaskHandlers(renderer, sites) {
+  return {
+    site: (values) => {
+      for (const code in values) Object.assign(sites[code], values[code]);
+    },
+    parse: async ({ source, hash, parseKey }) => {
+      const parsed = await renderer.parsePageContent(source);
+      const entry = renderer.createPageEntry(source.file, hash, parsed, parseKey);
+      return { entry, parsed: entry.skipped ? null : parsed };
+    },
+    render: payload => renderer.renderSingle(payload),
+    issues: () => renderer.takeIssues()
+  };
+}
+
+// Worker threads start from the data ssg.js passes to createWorkerPool:
+// { configPath, contentDir, taxonomies, sites, templates: { layout, partial, shortcode }, dirs (likewise), check }
+if (!isMainThread) {
+  const { configPath, contentDir, taxonomies, sites, templates, dirs, check } = workerData;
+
+  // Templates preloaded by the main thread; anything else is read from disk once
+  const loadTemplate = async (kind, name) => {
+    const cache = templates[kind];
+    if (!(name in cache)) {
+      const filePath = path.join(dirs[kind], `${name}.html`);
+      cache[name] = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf-8') : '';
+    }
+    return cache[name];
+  };
+
+  // Plugins are loaded again here: their hooks and helpers can't be sent between threads
+  const config = loadConfig(configPath);
+  const plugins = loadPlugins(config);
+  const renderer = createPageRenderer(config, { taxonomies, sites, loadTemplate, contentDir, plugins, check });
+  const handlers = createTaskHandlers(renderer, sites);
+
+  parentPort.on('message', async ({ id, type, payload }) => {
+    try {
+      parentPort.postMessage({ id, result: await handlers[type](payload) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+    }
+  });
+}
+
+module.exports = {
+  createTaskHandlers,
+};
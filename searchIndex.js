@@ -0,0 +1,233 @@
+// Client-side search. The build keeps the search terms of every published page,
+// writes them as a small manifest plus shards, and the browser script below loads
+// the shards on the first query and matches by prefix and edit distance.
+
+// Bump when the index layout changes
+const SEARCH_INDEX_VERSION = 1;
+
+// Characters of summary shown under each search result
+const SNIPPET_LENGTH = 160;
+
+// Function to split text into lowercase search terms without accents
+// (also embedded in the browser script so queries are tokenized the same way)
+function tokenize(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Function to turn a front matter value (string, number, date or list) into text
+function fieldText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(fieldText).join(' ');
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') return Object.values(value).map(fieldText).join(' ');
+  return String(value);
+}
+
+// Function to collect the unique search terms of each configured field for one page
+// Besides front matter fields there are three derived fields:
+//   content: the page text (marked output without tags), cut at options.contentLength
+//   summary: the page summary
+//   tags:    every taxonomy value of the page plus a front matter `tags` list
+function extractSearchFields(data, page, options) {
+  const fields = {};
+  for (const field in options.fields) {
+    let text;
+    if (field === 'content') {
+      text = page.text.slice(0, options.contentLength);
+    } else if (field === 'summary') {
+      text = page.summary;
+    } else if (field === 'tags') {
+      text = [fieldText(data.tags), ...page.tagValues.map(fieldText)].join(' ');
+    } else {
+      text = fieldText(data[field]);
+    }
+    fields[field] = Array.from(new Set(tokenize(text))).join(' ');
+  }
+  return fields;
+}
+
+// Function to build the search entry kept for a page between builds
+function createSearchDocument(data, page, options) {
+  return {
+    title: String(data.title),
+    snippet: String(page.summary || '').slice(0, SNIPPET_LENGTH),
+    fields: extractSearchFields(data, page, options)
+  };
+}
+
+// Function to split documents ({ url, title, snippet, fields }) into the index manifest and its shards
+// Each shard document is [url, title, snippet, ...terms] with terms in manifest field order
+// shardURL(number) gives the URL the browser loads shard `number` from
+function buildSearchIndex(documents, options, shardURL) {
+  const fieldNames = Object.keys(options.fields);
+  const shardSize = Math.max(1, options.shardSize);
+  const shards = [];
+
+  for (let i = 0; i < documents.length; i += shardSize) {
+    shards.push({
+      docs: documents.slice(i, i + shardSize).map(doc => [
+        doc.url,
+        doc.title,
+        doc.snippet,
+        ...fieldNames.map(field => doc.fields[field] || '')
+      ])
+    });
+  }
+
+  const manifest = {
+    version: SEARCH_INDEX_VERSION,
+    count: documents.length,
+    fields: fieldNames.map(name => ({ name, weight: Number(options.fields[name]) || 0 })),
+    shards: shards.map((shard, index) => shardURL(index + 1))
+  };
+  return { manifest, shards };
+}
+
+// Browser script: finds every form[data-search-index], loads the index on first use
+// and lists the best matches. Every query term has to match some field; exact terms
+// score highest, then prefixes, then terms within one or two edits.
+const CLIENT_SCRIPT = `(function () {
+  'use strict';
+  var tokenize = ${tokenize.toString()};
+  var MAX_RESULTS = 10;
+  var indexes = {};
+
+  function loadIndex(url) {
+    if (!indexes[url]) {
+      indexes[url] = fetch(url)
+        .then(function (response) { return response.json(); })
+        .then(function (manifest) {
+          return Promise.all(manifest.shards.map(function (shardURL) {
+            return fetch(shardURL).then(function (response) { return response.json(); });
+          })).then(function (shards) { return prepareIndex(manifest, shards); });
+        });
+    }
+    return indexes[url];
+  }
+
+  // Map every term to the documents and fields it appears in
+  function prepareIndex(manifest, shards) {
+    var docs = [];
+    var terms = new Map();
+    shards.forEach(function (shard) {
+      shard.docs.forEach(function (doc) {
+        var docIndex = docs.length;
+        docs.push({ url: doc[0], title: doc[1], snippet: doc[2] });
+        manifest.fields.forEach(function (field, fieldIndex) {
+          doc[3 + fieldIndex].split(' ').forEach(function (term) {
+            if (!term) return;
+            if (!terms.has(term)) terms.set(term, []);
+            terms.get(term).push(docIndex, fieldIndex);
+          });
+        });
+      });
+    });
+    return { docs: docs, terms: terms, weights: manifest.fields.map(function (field) { return field.weight; }) };
+  }
+
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) previous[j] = j;
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      var rowMin = i;
+      for (var k = 1; k <= b.length; k++) {
+        current[k] = Math.min(previous[k] + 1, current[k - 1] + 1, previous[k - 1] + (a[i - 1] === b[k - 1] ? 0 : 1));
+        rowMin = Math.min(rowMin, current[k]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  function matchScore(queryTerm, term) {
+    if (term === queryTerm) return 3;
+    if (term.indexOf(queryTerm) === 0) return 2;
+    var maxEdits = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+    return maxEdits > 0 && editDistance(queryTerm, term, maxEdits) <= maxEdits ? 1 : 0;
+  }
+
+  function search(index, query) {
+    var totals = null;
+    tokenize(query).forEach(function (queryTerm) {
+      var scores = new Map();
+      index.terms.forEach(function (postings, term) {
+        var score = matchScore(queryTerm, term);
+        if (!score) return;
+        for (var i = 0; i < postings.length; i += 2) {
+          var value = score * index.weights[postings[i + 1]];
+          if (value > (scores.get(postings[i]) || 0)) scores.set(postings[i], value);
+        }
+      });
+      if (totals === null) {
+        totals = scores;
+        return;
+      }
+      totals.forEach(function (total, docIndex) {
+        if (scores.has(docIndex)) totals.set(docIndex, total + scores.get(docIndex));
+        else totals.delete(docIndex);
+      });
+    });
+
+    return Array.from(totals || [])
+      .sort(function (a, b) { return b[1] - a[1]; })
+      .slice(0, MAX_RESULTS)
+      .map(function (entry) { return index.docs[entry[0]]; });
+  }
+
+  function showResults(list, results, query) {
+    list.textContent = '';
+    if (query && results.length === 0) {
+      var empty = document.createElement('li');
+      empty.textContent = 'No results';
+      list.appendChild(empty);
+    }
+    results.forEach(function (doc) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = doc.url;
+      link.textContent = doc.title;
+      item.appendChild(link);
+      if (doc.snippet) {
+        var snippet = document.createElement('p');
+        snippet.textContent = doc.snippet;
+        item.appendChild(snippet);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  document.querySelectorAll('form[data-search-index]').forEach(function (form) {
+    var input = form.querySelector('input[type="search"]');
+    var list = form.querySelector('.search-results');
+    var timer = null;
+    if (!input || !list) return;
+
+    form.addEventListener('submit', function (event) { event.preventDefault(); });
+    input.addEventListener('input', function () {
+      clearTimeout(timer);
+      timer = setTimeout(function () {
+        var query = input.value.trim();
+        if (!query) return showResults(list, [], '');
+        loadIndex(form.getAttribute('data-search-index')).then(function (index) {
+          if (input.value.trim() === query) showResults(list, search(index, query), query);
+        });
+      }, 150);
+    });
+  });
+})();
+`;
+
+module.exports = {
+  CLIENT_SCRIPT,
+  tokenize,
+  createSearchDocument,
+  buildSearchIndex,
+};
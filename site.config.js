@@ -0,0 +1,136 @@
+// Site configuration, loaded by ssg.js (see siteConfig.js for defaults)
+module.exports = {
+    baseURL: 'https://yuushaexa.github.io/yuushacms/', // Every generated link is resolved against this
+    title: 'My Blog',
+    language: 'en',
+    // Other languages go under /<code>/: posts/hello.ja.md or content/ja/posts/hello.md
+    // e.g. { en: { name: 'English' }, ja: { name: '日本語', title: '私のブログ' } }
+    languages: {},
+    i18n: {
+        dir: 'i18n' // i18n/<code>.json: strings for {{ i18n "key" }}
+    },
+    outputDir: 'public',
+
+    layouts: {
+        include: [], // Specify layouts to include, e.g., 'base', 'single', 'list'
+        exclude: []  // Specify layouts to exclude
+    },
+    partials: {
+        include: [], // Specify partials to include
+        exclude: []  // Specify partials to exclude
+    },
+    mappings: {
+        dir: 'prebuild/data', // Mapping files (*.mapping) declaring a data source and its fields
+        include: [], // Specify mappings to include by file name without extension, e.g., 'movies'
+        exclude: []  // Specify mappings to exclude
+    },
+    data: {
+        dir: 'data' // JSON/YAML/TOML/CSV files exposed to every template as site.data.<file name>
+    },
+    static: {
+        dir: 'static' // Files copied to the site as they are (robots.txt, favicon.ico, images)
+    },
+    assets: {
+        dir: 'assets', // CSS and JS, minified and written with a content hash in their name
+        bundles: {},   // e.g. { 'main.js': ['js/menu.js', 'js/search.js'] }
+        minify: true,
+        fingerprint: true
+    },
+    json: {
+        include: [], // Specify JSON files to include "https://raw.githubusercontent.com/YuushaExa/v/refs/heads/main/Testcsvjson/data.json"
+        exclude: []   // Specify JSON files to exclude
+    },
+    csv: {
+        include: [], // Specify CSV files to include without a mapping file (every column becomes a front matter field)
+        exclude: []   // Specify CSV files to exclude
+    },
+    fetch: {
+        cacheDir: '.cache/data', // Downloaded data sources; use `node ssg.js --offline` to build from here only
+        retries: 3,
+        retryDelay: 500          // Milliseconds, doubled for every retry
+    },
+    slugRegistry: {
+        file: 'prebuild/slugs.json', // Slug of every imported row; commit it so URLs stay stable in CI
+        prune: false                 // Release the slugs of rows that disappeared from their source (and delete their materialized files)
+    },
+    pagination: {
+        postsPerPage: 10 // Adjust this value as needed
+    },
+    render: {
+        workers: 'auto', // Worker threads for parsing and rendering pages (0 renders on the main thread)
+        minPages: 200    // Builds with fewer pages don't start workers
+    },
+    sort: {
+        by: 'date',   // Front matter field used to order index, section and tag pages
+        order: 'desc' // 'desc' (newest first) or 'asc'
+    },
+    taxonomies: {
+        // Every taxonomy gets a page per value (tags/director/<name>/) and a list of all values (tags/director/)
+        director: { singular: 'Director', plural: 'Directors', sort: 'count' },
+        cast: { singular: 'Actor', plural: 'Cast' },
+        genre: { singular: 'Genre', plural: 'Genres' },
+        release_year: { singular: 'Year', plural: 'Years' },
+        origin_ethnicity: { singular: 'Country', plural: 'Countries' }
+    },
+    related: {
+        count: 5,
+        // Points per shared term: the same director counts most, a shared year least
+        weights: { director: 3, cast: 2, genre: 1, origin_ethnicity: 1, release_year: 0.5 },
+        maxTermPosts: 1000
+    },
+    dateFormat: '%B %d, %Y', // Format of the dateFormatted, publishDateFormatted, ... fields
+    markdown: {
+        highlight: true,   // Syntax highlighting of ```lang code blocks
+        anchors: true,     // Link icon next to every heading
+        tocLevels: [2, 3], // Headings in the {{{ toc }}} of single pages
+        footnotes: true
+    },
+    images: {
+        enabled: true,
+        widths: [480, 960, 1600],           // Resized copies of every image in markdown, up to its original width
+        formats: ['avif', 'webp'],          // Plus the original format for older browsers
+        quality: 75,
+        sizes: '(max-width: 46rem) 100vw, 46rem', // Images are at most as wide as the page (see assets/styles.css)
+        lazy: true,
+        output: 'images',
+        cacheDir: '.cache/images'
+    },
+    slug: {
+        maxLength: 50,
+        separator: '-',
+        charmap: {} // Extra replacements on top of plugins/charmap.json, e.g. { '♥': 'love' }
+    },
+    feeds: {
+        enabled: true,
+        formats: ['atom', 'rss'], // Written as atom.xml / rss.xml
+        limit: 20,                // Newest posts per feed
+        content: 'summary',       // 'summary' or 'full' (the rendered post)
+        tags: true                // Also write a feed next to every tag page
+    },
+    sitemap: {
+        enabled: true // Write sitemap.xml (split into a sitemap index past 50,000 URLs)
+    },
+    search: {
+        enabled: true,
+        // Fields to index and their weights: front matter fields, plus content (page text),
+        // summary and tags (every taxonomy value)
+        fields: { title: 10, director: 5, tags: 3, summary: 2, content: 1 },
+        contentLength: 5000, // Characters of page text indexed per page
+        shardSize: 1000      // Pages per index file
+    },
+    plugins: {
+        dir: 'plugins', // Build hooks, template helpers and filters (see plugins.js)
+        include: [],    // Specify plugins to include by file name without extension
+        exclude: [],    // Specify plugins to exclude
+        use: [],        // Plugins from node_modules or elsewhere, e.g. 'yuusha-plugin-redirects'
+        options: {
+            'split-fields': { fields: ['cast'] } // "Tom Hanks, Meg Ryan" -> one Cast term per actor
+        }
+    },
+    check: {
+        // Front matter rules per section, checked on every build; `node ssg.js check` also checks links and templates
+        // e.g. { games: { date: { required: true, type: 'date' }, platform: { enum: ['pc', 'switch'] } } }
+        schemas: {},
+        ignoreLinks: [] // Paths not followed, e.g. 'downloads/'
+    }
+};
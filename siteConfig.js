@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Config files looked up in the working directory, in order
+const CONFIG_FILES = ['site.config.js', 'site.config.json'];
+
+// Defaults for every setting; site.config.js only needs to override what differs
+const defaultConfig = {
+  baseURL: '/',        // Where the site is deployed, e.g. 'https://user.github.io/repo/'
+  title: 'My Blog',
+  description: '',
+  language: 'en',      // Default language; with `languages`, its pages stay at the root of the site
+  // Languages of a multilingual site by code, e.g. { en: { name: 'English' }, ja: { name: '日本語', title: '...' } }
+  // Each can set name, title, description and weight (order of site.languages); see languages.js
+  languages: {},
+  i18n: {
+    dir: 'i18n' // Translated strings, one <language code>.json per language, for the i18n helper
+  },
+  outputDir: 'public',
+  layouts: {
+    include: [], // Specify layouts to include, e.g., 'base', 'single', 'list'
+    exclude: []  // Specify layouts to exclude
+  },
+  partials: {
+    include: [], // Specify partials to include
+    exclude: []  // Specify partials to exclude
+  },
+  mappings: {
+    dir: 'prebuild/data', // Mapping files (*.mapping) declaring a data source and its fields
+    include: [],
+    exclude: []
+  },
+  data: {
+    dir: 'data' // Data files exposed to every template as site.data.<file name>
+  },
+  static: {
+    dir: 'static' // Copied into the output directory as is
+  },
+  assets: {
+    dir: 'assets',     // CSS/JS (and anything else) processed into the output directory, see assets.js
+    bundles: {},       // Files joined into one, e.g. { 'main.js': ['js/menu.js', 'js/search.js'] }
+    minify: true,      // Minify CSS and JS
+    fingerprint: true  // Add a content hash to file names (styles.3f2a9c81d0.css); link them with {{ asset "styles.css" }}
+  },
+  json: {
+    include: [],
+    exclude: [],
+    id: ''       // Key that identifies an item across imports; without it items are keyed by a hash
+  },
+  csv: {
+    include: [],
+    exclude: [],
+    id: ''       // Column that identifies a row across imports; without it rows are keyed by a hash
+  },
+  fetch: {
+    cacheDir: '.cache/data', // Downloaded data sources, revalidated with ETag/Last-Modified
+    retries: 3,              // Extra attempts for network errors, 429 and 5xx responses
+    retryDelay: 500,         // Milliseconds before the first retry, doubled for each one after
+    timeout: 30000           // Milliseconds per request
+  },
+  slugRegistry: {
+    file: 'prebuild/slugs.json', // Slug of every imported row; commit it to keep URLs stable everywhere
+    prune: false                 // Release the slugs of rows that disappeared from their source (and delete their materialized files)
+  },
+  pagination: {
+    postsPerPage: 10
+  },
+  render: {
+    workers: 'auto', // Worker threads that parse and render pages; 'auto' is one per CPU core but one, 0 uses the main thread
+    minPages: 200    // Smaller builds stay on the main thread, where starting workers would cost more than it saves
+  },
+  sort: {
+    by: 'date',    // Front matter field used to order index, section and tag pages
+    order: 'desc'  // 'desc' (newest first) or 'asc'
+  },
+  related: {
+    count: 5,          // Posts in the `related` list of single pages; 0 leaves it empty
+    weights: {},       // Score of a shared term per taxonomy, e.g. { director: 3 }; unlisted taxonomies count 1
+    maxTermPosts: 1000 // Terms with more posts than this are skipped as too common to relate posts
+  },
+  // Front matter fields whose values get term pages, keyed by taxonomy name (see taxonomies.js)
+  // { field, singular, plural, url: 'tags/:taxonomy/:slug/', sort: 'name' or 'count' }; false drops one
+  taxonomies: {
+    tags: { singular: 'Tag', plural: 'Tags' }
+  },
+  dateFormat: '%B %d, %Y', // strftime-style format for the *Formatted date fields
+  markdown: {
+    highlight: true,   // Highlight fenced code blocks that name their language (```json) with highlight.js
+    anchors: true,     // Add a link to itself to every heading (headings always get an id)
+    tocLevels: [2, 3], // Heading levels listed in {{{ toc }}} on single pages
+    footnotes: true    // [^name] references and [^name]: definitions
+  },
+  images: {
+    enabled: true,
+    widths: [480, 960, 1600],      // Widths images are resized to; never wider than the original
+    formats: ['avif', 'webp'],     // Offered in a <picture> before the original format
+    quality: 75,
+    sizes: '100vw',                // `sizes` attribute of the srcsets: how wide the image is shown
+    lazy: true,                    // loading="lazy" on every markdown image
+    output: 'images',              // Output directory of the resized files
+    cacheDir: '.cache/images'      // Encoded images, reused until the original or these settings change
+  },
+  slug: {
+    maxLength: 50,
+    separator: '-',
+    locale: '',                         // Locale replacements, e.g. 'de' turns "ü" into "ue"; defaults to language
+    charmap: {},                        // Extra replacements, e.g. { '♥': 'love' }
+    charmapFile: 'plugins/charmap.json' // Shared transliteration table
+  },
+  feeds: {
+    enabled: true,
+    formats: ['atom', 'rss'], // Written as atom.xml / rss.xml
+    limit: 20,                // Newest posts per feed
+    content: 'summary',       // 'summary' or 'full' (the rendered post)
+    tags: true                // Also write a feed next to every tag page
+  },
+  sitemap: {
+    enabled: true
+  },
+  search: {
+    enabled: true,
+    // Fields to index and their weights: front matter fields, plus content (page text),
+    // summary and tags (every taxonomy value)
+    fields: { title: 10, tags: 5, summary: 2, content: 1 },
+    contentLength: 5000, // Characters of page text indexed per page
+    shardSize: 1000      // Pages per index file; browsers load every shard on the first search
+  },
+  plugins: {
+    dir: 'plugins', // Every .js file here is a plugin (see plugins.js)
+    include: [],    // Plugins to load by file name without extension (all by default)
+    exclude: [],
+    use: [],        // More plugins: package names, paths or plugin objects
+    options: {}     // Options of each plugin by name, e.g. { 'split-fields': { fields: ['cast'] } }
+  },
+  check: {
+    // Front matter rules per section (subsections use their nearest parent's, '/' any other page),
+    // checked on every build: { games: { date: { required: true, type: 'date' }, platform: { enum: ['pc', 'switch'] } } }
+    // Types: string, number, boolean, date, array, object
+    schemas: {},
+    ignoreLinks: [] // Paths (relative to baseURL) whose links `node ssg.js check` doesn't follow
+  }
+};
+
+// Function to merge user settings over defaults; plain objects merge one level deep
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const key in overrides) {
+    const value = overrides[key];
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isPlainObject && defaults[key] && typeof defaults[key] === 'object'
+      ? { ...defaults[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+// Function to split a base URL into its origin and path ('/yuushacms/')
+function parseBaseURL(baseURL) {
+  const value = baseURL || '/';
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    const url = new URL(value);
+    return { origin: url.origin, basePath: url.pathname.replace(/\/?$/, '/') };
+  }
+  return { origin: '', basePath: ('/' + value.replace(/^\/+/, '')).replace(/\/?$/, '/') };
+}
+
+// Function to load the site config from site.config.js/json (or an explicit path)
+function loadConfig(configPath = null) {
+  const candidates = configPath ? [configPath] : CONFIG_FILES;
+  let userConfig = {};
+  let source = null;
+
+  for (const candidate of candidates) {
+    const filePath = path.resolve(candidate);
+    if (!fs.pathExistsSync(filePath)) continue;
+
+    userConfig = filePath.endsWith('.json') ? fs.readJsonSync(filePath) : require(filePath);
+    source = candidate;
+    break;
+  }
+
+  if (configPath && !source) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const config = mergeConfig(defaultConfig, userConfig);
+  const { origin, basePath } = parseBaseURL(config.baseURL);
+  config.origin = origin;
+  config.basePath = basePath;
+  config.configFile = source;
+  config.slug.locale = config.slug.locale || config.language;
+  return config;
+}
+
+// Function to resolve a site path against the base path: relURL(config, 'tags/x/') -> '/yuushacms/tags/x/'
+function relURL(config, target = '') {
+  const value = String(target);
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return value; // Already absolute or a fragment
+
+  if (value.startsWith('/') && config.basePath !== '/' && (value + '/').startsWith(config.basePath)) {
+    return value; // Already prefixed
+  }
+  return config.basePath + value.replace(/^\/+/, '');
+}
+
+// Function to resolve a site path to a full URL: absURL(config, 'feed.xml') -> 'https://host/yuushacms/feed.xml'
+function absURL(config, target = '') {
+  const value = String(target);
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) return value;
+  return config.origin + relURL(config, value);
+}
+
+module.exports = {
+  defaultConfig,
+  loadConfig,
+  relURL,
+  absURL,
+};
@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { inferType, readDataFile } = require('./dataReaders');
+
+// Global data files. Every file under the data directory that a reader in
+// dataReaders.js understands (JSON, YAML, TOML, CSV, NDJSON, ...) is loaded once
+// per build and exposed to templates as site.data, keyed by its file name without
+// the extension. Subdirectories nest: data/people/authors.yaml is
+// site.data.people.authors. Other files are ignored.
+
+// Function to check whether a value is a plain object (and not a list or date)
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Function to load every data file under a directory into one object
+async function loadSiteData(dir) {
+  const data = {};
+  if (dir && await fs.pathExists(dir)) {
+    await loadDataDirectory(dir, data, 'site.data');
+  }
+  return data;
+}
+
+// Function to load the files of one directory into target, recursing into subdirectories
+// label is the template path of target, used in warnings ('site.data.people')
+async function loadDataDirectory(dir, target, label) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    const filePath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (entry.name in target && !isPlainObject(target[entry.name])) {
+        console.warn(`Data directory ${filePath} skipped, ${label}.${entry.name} is already taken by a file`);
+        continue;
+      }
+      target[entry.name] = target[entry.name] || {};
+      await loadDataDirectory(filePath, target[entry.name], `${label}.${entry.name}`);
+      continue;
+    }
+
+    const type = entry.isFile() ? inferType(entry.name, null) : null;
+    if (!type) continue;
+
+    const key = path.basename(entry.name, path.extname(entry.name));
+    if (key in target) {
+      console.warn(`Data file ${filePath} skipped, ${label}.${key} is already taken`);
+      continue;
+    }
+
+    try {
+      target[key] = await readDataFile(filePath, type);
+    } catch (error) {
+      console.warn(`Could not load data file ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  loadSiteData,
+};
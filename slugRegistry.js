@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { pageSlug } = require('./pagePaths');
+
+// Bump when the registry layout changes
+const REGISTRY_VERSION = 1;
+
+// The registry remembers which slug every imported row got, keyed by source
+// (mapping file name or URL) and a stable row key (its id column, or a hash of
+// the row when no id is configured). Re-imports reuse the recorded slug, new rows
+// get a slug no other source or hand-written page uses, and rows that disappear
+// from a source are reported (or pruned).
+//
+//   { version, sources: { "movies.mapping": { "id:https://...": "amelie" } } }
+
+// Function to load the registry and work out which slugs are taken
+// generatedFiles: files the importer wrote last time (from the build manifest), so
+// that any other markdown file in contentDir counts as hand-written
+// site: { languages (see languages.js), slugify } to work out the slugs of hand-written pages
+async function loadSlugRegistry(filePath, contentDir, generatedFiles = [], site) {
+  let sources = {};
+  try {
+    if (await fs.pathExists(filePath)) {
+      const stored = await fs.readJson(filePath);
+      if (stored && stored.version === REGISTRY_VERSION) sources = stored.sources || {};
+      else console.warn(`Slug registry ${filePath} is outdated, starting a new one`);
+    }
+  } catch (error) {
+    console.warn(`Could not read slug registry ${filePath}: ${error.message}`);
+  }
+
+  const registry = {
+    filePath,
+    contentDir,
+    sources,
+    owners: new Map(),       // slug -> "<source> <key>"
+    handWritten: new Map(),  // slug -> markdown file the importer did not write
+    seen: {},                // source -> Set of row keys imported in this run
+    collisions: []
+  };
+
+  for (const source in sources) {
+    for (const key in sources[source]) {
+      registry.owners.set(sources[source][key], `${source} ${key}`);
+    }
+  }
+
+  const generated = new Set(generatedFiles.map(file => path.resolve(file)));
+  if (await fs.pathExists(contentDir)) {
+    for (const file of await listPages(contentDir)) {
+      if (generated.has(path.resolve(contentDir, file))) continue;
+      const slug = await handWrittenSlug(contentDir, file, site);
+      if (slug) registry.handWritten.set(slug, `${contentDir}/${file}`);
+    }
+  }
+
+  return registry;
+}
+
+// Function to list the markdown pages under contentDir recursively, as paths relative to it
+// (_index.md files describe a section and have no slug of their own)
+async function listPages(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      files.push(...await listPages(dir, `${prefix}${entry.name}/`));
+    } else if (entry.isFile() && entry.name.endsWith('.md') && entry.name !== '_index.md') {
+      files.push(`${prefix}${entry.name}`);
+    }
+  }
+  return files;
+}
+
+// Function to get the slug a hand-written page is built at, like the renderer does: from its
+// path and language, or its `slug:` front matter. Pages without a title are not built (null)
+async function handWrittenSlug(contentDir, file, { languages, slugify }) {
+  let data;
+  try {
+    ({ data } = matter(await fs.readFile(path.join(contentDir, file), 'utf-8')));
+  } catch (error) {
+    console.warn(`Could not read the front matter of ${contentDir}/${file}: ${error.message}`);
+    return null;
+  }
+  return data.title ? pageSlug(file, data, languages, slugify) : null;
+}
+
+// Function to persist the registry
+async function saveSlugRegistry(registry) {
+  await fs.ensureDir(path.dirname(registry.filePath));
+  await fs.writeJson(registry.filePath, { version: REGISTRY_VERSION, sources: registry.sources }, { spaces: 2 });
+}
+
+// Function to get the stable key of a row: its id when one is configured, else a hash of the row
+function rowKey(item, resolveId) {
+  const id = resolveId ? resolveId(item) : undefined;
+  if (id !== undefined && id !== null && id !== '') return `id:${id}`;
+  return `hash:${crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex')}`;
+}
+
+// Function to check whether a slug is baseSlug itself or baseSlug with a "-<n>" suffix
+function hasBase(slug, baseSlug) {
+  return slug === baseSlug || (slug.startsWith(`${baseSlug}-`) && /^\d+$/.test(slug.slice(baseSlug.length + 1)));
+}
+
+// Function to get the slugs for every row of one source import
+// rows: [{ key, baseSlug }] where baseSlug is the slug the row would get on its own
+// Registered rows keep their slug. A new row whose key changed (e.g. an edited row
+// keyed by its hash) takes over the slug of a vanished row with the same base slug;
+// anything else gets a slug nobody else uses.
+function assignSlugs(registry, source, rows) {
+  if (!registry.sources[source]) registry.sources[source] = {};
+  const registered = registry.sources[source];
+  const seen = registry.seen[source] = new Set();
+
+  // Two rows with the same key: later ones are stored as key#2, key#3, ...
+  const keys = rows.map(({ key }) => {
+    let rowId = key;
+    for (let n = 2; seen.has(rowId); n++) rowId = `${key}#${n}`;
+    if (rowId !== key) registry.collisions.push(`${source}: duplicate row key ${key}, stored as ${rowId}`);
+    seen.add(rowId);
+    return rowId;
+  });
+
+  const vanished = Object.keys(registered).filter(key => !seen.has(key));
+  const isTaken = slug => registry.owners.has(slug) || registry.handWritten.has(slug);
+
+  // Function to report a row that keeps a slug a hand-written page added since then also uses
+  const checkHandWritten = (slug, rowId) => {
+    if (registry.handWritten.has(slug)) {
+      registry.collisions.push(`${source} ${rowId}: "${slug}" is also used by ${registry.handWritten.get(slug)}; give one of them a different slug`);
+    }
+    return slug;
+  };
+
+  return rows.map(({ baseSlug }, index) => {
+    const rowId = keys[index];
+    if (registered[rowId]) return checkHandWritten(registered[rowId], rowId);
+
+    const previousIndex = vanished.findIndex(key => hasBase(registered[key], baseSlug));
+    if (previousIndex !== -1) {
+      const [previousKey] = vanished.splice(previousIndex, 1);
+      const slug = registered[previousKey];
+      delete registered[previousKey];
+      registered[rowId] = slug;
+      registry.owners.set(slug, `${source} ${rowId}`);
+      return checkHandWritten(slug, rowId);
+    }
+
+    let slug = baseSlug;
+    for (let n = 1; isTaken(slug); n++) slug = `${baseSlug}-${n}`;
+
+    if (slug !== baseSlug) {
+      const owner = registry.handWritten.get(baseSlug) || registry.owners.get(baseSlug);
+      registry.collisions.push(`${source} ${rowId}: "${baseSlug}" is taken by ${owner}, using "${slug}"`);
+    }
+
+    registered[rowId] = slug;
+    registry.owners.set(slug, `${source} ${rowId}`);
+    return slug;
+  });
+}
+
+// Function to list the rows of a source that were registered before but not imported this run
+// (empty for sources that were not imported, e.g. unchanged or failed ones)
+function findRemovedRows(registry, source) {
+  const rows = registry.sources[source] || {};
+  const seen = registry.seen[source];
+  if (!seen) return [];
+  return Object.keys(rows).filter(key => !seen.has(key)).map(key => ({ key, slug: rows[key] }));
+}
+
+// Function to forget rows so their slugs can be used again
+function releaseRows(registry, source, keys) {
+  keys.forEach(key => {
+    registry.owners.delete(registry.sources[source][key]);
+    delete registry.sources[source][key];
+  });
+}
+
+module.exports = {
+  loadSlugRegistry,
+  saveSlugRegistry,
+  rowKey,
+  assignSlugs,
+  findRemovedRows,
+  releaseRows,
+};
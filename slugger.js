@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Transliteration table shipped with the repo ("é" -> "e", "Ж" -> "Zh", "&" -> "and")
+const DEFAULT_CHARMAP_FILE = path.join(__dirname, 'plugins', 'charmap.json');
+
+// Replacements that differ per language, applied over the shared table
+const LOCALE_CHARMAPS = {
+  de: { 'Ä': 'AE', 'Ö': 'OE', 'Ü': 'UE', 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', '&': 'und' },
+  fr: { '&': 'et' },
+  es: { '&': 'y' },
+  da: { 'Æ': 'AE', 'Ø': 'OE', 'Å': 'AA', 'æ': 'ae', 'ø': 'oe', 'å': 'aa', '&': 'og' },
+  nb: { 'Æ': 'AE', 'Ø': 'OE', 'Å': 'AA', 'æ': 'ae', 'ø': 'oe', 'å': 'aa', '&': 'og' },
+  sv: { '&': 'och' }
+};
+
+const charmapCache = {};
+
+// Function to load (once) a charmap JSON file of { "character": "replacement" }
+function loadCharmap(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!(resolved in charmapCache)) {
+    try {
+      charmapCache[resolved] = fs.readJsonSync(resolved);
+    } catch (error) {
+      console.warn(`Could not load charmap ${filePath}: ${error.message}`);
+      charmapCache[resolved] = {};
+    }
+  }
+  return charmapCache[resolved];
+}
+
+// Function to find the overrides for a locale, falling back from 'de-AT' to 'de'
+function localeCharmap(locale) {
+  if (!locale) return {};
+  const name = String(locale).toLowerCase();
+  return LOCALE_CHARMAPS[name] || LOCALE_CHARMAPS[name.split(/[-_]/)[0]] || {};
+}
+
+// Function to create a slug function from the `slug` config section
+// options: { maxLength, separator, locale, charmap (custom replacements), charmapFile }
+// Characters found in the charmap are transliterated, accents are dropped and any
+// other letters (Japanese, Chinese, ...) are kept, so "Amélie" -> "amelie" and
+// "千と千尋の神隠し" stays readable instead of collapsing to an empty slug.
+function createSlugger(options = {}) {
+  const {
+    maxLength = 50,
+    separator = '-',
+    locale = '',
+    charmap = {},
+    charmapFile = DEFAULT_CHARMAP_FILE
+  } = options;
+
+  const table = { ...loadCharmap(charmapFile), ...localeCharmap(locale), ...charmap };
+  const escapedSeparator = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const edges = new RegExp(`^(${escapedSeparator})+|(${escapedSeparator})+$`, 'g');
+
+  return function slugify(input) {
+    if (input === undefined || input === null) return '';
+
+    // Symbols become words ("&" -> " and "), letters are replaced in place ("Æ" -> "AE")
+    const transliterated = Array.from(String(input)).map(char => {
+      if (!(char in table)) return char;
+      return /\p{L}/u.test(char) ? table[char] : ` ${table[char]} `;
+    }).join('');
+
+    const slug = transliterated
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, separator);
+
+    return Array.from(slug.replace(edges, '')).slice(0, maxLength).join('').replace(edges, '');
+  };
+}
+
+module.exports = {
+  createSlugger,
+  loadCharmap,
+};
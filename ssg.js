@@ -1,5 +1,5 @@
 const fs = require('fs-extra');
-const marked = require('marked');
+const os = require('os');
 const matter = require('gray-matter');
 const path = require('path');
 const csv = require('csv-parser');
@@ -7,43 +7,136 @@ const axios = require('axios');
 const { Readable } = require('stream');
 
 const { extractDataFromSources } = require('./dataExtractor');
+const templateEngine = require('./templateEngine');
+const { createPageRenderer } = require('./pageRenderer');
+const { sectionOf } = require('./pagePaths');
+const { createWorkerPool, createInlinePool } = require('./workerPool');
+const { createTaskHandlers } = require('./renderWorker');
+const { createManifest, loadManifest, saveManifest, hashContent } = require('./buildManifest');
+const { startDevServer } = require('./devServer');
+const { loadConfig, relURL, absURL } = require('./siteConfig');
+const { renderRss, renderAtom, renderSitemap, renderSitemapIndex, chunkSitemapEntries } = require('./feeds');
+const searchIndex = require('./searchIndex');
+const { loadSiteData } = require('./siteData');
+const { sectionNeighbours, createRelatedFinder } = require('./relatedPosts');
+const { listStaticFiles, buildAssets, findOldFingerprints } = require('./assets');
+const { imagesChanged } = require('./images');
+const { createIssueLog, checkLinks, printReport } = require('./checks');
+const { loadPlugins } = require('./plugins');
+const { loadLanguages, splitLanguage, languageTaxonomy, loadTranslations } = require('./languages');
+const { loadTaxonomies, termPagePath, termsPagePath, termPageURL, taxonomyInfo, sortTerms } = require('./taxonomies');
  
 const contentDir = 'content';
 const PrebuildlayoutsDir = 'prebuild/layouts'; // Updated to point to prebuild/layouts
-const outputDir = 'public';
-const dataDir = 'prebuild/data'; // Directory for JSON data sources
 const partialsDir = 'partials';
 const layoutsDir = 'layouts';
+const shortcodesDir = 'shortcodes'; // Templates of {{< name >}} shortcodes in markdown (see markdown.js)
+const manifestPath = '.cache/build-manifest.json'; // Hashes from the last build, used to skip unchanged pages
+const searchDir = 'search'; // Output directory of the search index and script
+
+// Command line flags
+const cliArgs = process.argv.slice(2);
+// First positional argument selects the command: build (default), serve or check
+const command = cliArgs[0] && !cliArgs[0].startsWith('--') ? cliArgs[0] : 'build';
+const checkMode = command === 'check'; // Renders every page, so every template problem shows up in the report
+const forceRebuild = cliArgs.includes('--force') || checkMode; // Ignore the build manifest and render everything
+const strict = cliArgs.includes('--strict'); // With check, warnings fail it too
+const buildDrafts = cliArgs.includes('--drafts'); // Include pages marked `draft: true`
+const offline = cliArgs.includes('--offline'); // Read remote data sources only from the data cache
+const materialize = cliArgs.includes('--materialize'); // Write imported rows to content/ as markdown files instead of keeping them in memory
+
+// Function to read a `--name value` or `--name=value` flag
+function getFlagValue(name, fallback) {
+    const prefix = `--${name}=`;
+    const inline = cliArgs.find(arg => arg.startsWith(prefix));
+    if (inline) return inline.slice(prefix.length);
+
+    const index = cliArgs.indexOf(`--${name}`);
+    return index !== -1 && cliArgs[index + 1] && !cliArgs[index + 1].startsWith('--') ? cliArgs[index + 1] : fallback;
+}
 
-// Configuration for layouts, partials, JSON, and CSV
-const config = {
-    layouts: {
-        include: [], // Specify layouts to include, e.g., 'base', 'single', 'list'
-        exclude: []  // Specify layouts to exclude
-    },
-    partials: {
-        include: [], // Specify partials to include
-        exclude: []  // Specify partials to exclude
-    },
-    json: {
-        include: [], // Specify JSON files to include "https://raw.githubusercontent.com/YuushaExa/v/refs/heads/main/Testcsvjson/data.json"
-        exclude: []   // Specify JSON files to exclude
-    },
-    csv: {
-        include: ["https://github.com/YuushaExa/v/releases/download/csvv2/wiki_movie_plots_deduped.csv"], // Specify CSV files to include "https://github.com/YuushaExa/v/releases/download/csvv2/wiki_movie_plots_deduped.csv"
-        exclude: []   // Specify CSV files to exclude
-    },
-    pagination: {
-        postsPerPage: 10 // Adjust this value as needed
-    }
+// Configuration for the site, layouts, partials, JSON, and CSV (site.config.js)
+const config = loadConfig(getFlagValue('config', null));
+
+// Plugins from plugins/ and config.plugins.use (see plugins.js); their onConfig hooks have run
+// by the time the settings below are read
+const plugins = loadPlugins(config);
+const outputDir = config.outputDir;
+
+// Taxonomies declared in config.taxonomies (see taxonomies.js)
+const taxonomies = loadTaxonomies(config.taxonomies);
+
+// Languages declared in config.languages, the default language first (see languages.js)
+const languages = loadLanguages(config);
+const defaultLanguage = languages[0];
+
+// Values exposed to every template as {{ site.* }} (in the default language, see createLanguageSites)
+const siteContext = {
+    title: defaultLanguage.title,
+    description: defaultLanguage.description,
+    language: defaultLanguage.code,
+    baseURL: config.baseURL,
+    feeds: feedLinks(defaultLanguage),
+    // Every language with the URL of its home page, for language switchers
+    languages: languages.map(language => ({ code: language.code, name: language.name, url: relURL(config, language.prefix) })),
+    // URLs used by partials/search.html
+    search: config.search.enabled ? {
+        index: relURL(config, `${searchDir}/index.json`),
+        script: relURL(config, `${searchDir}/search.js`)
+    } : null,
+    data: {},  // Files under config.data.dir (see siteData.js), loaded by runSSG
+    i18n: {},  // Translated strings of each language, from config.i18n.dir; read through the i18n helper
+    assets: {}, // Output URL of each asset by its name in assets/ (see assets.js), used by the asset helper
+    posts: [], // Every published post, sorted like the home page; set once all pages are parsed
+    tags: {},  // Terms of each taxonomy in its sort order: { director: [{ name, slug, url, count }] }
+    taxonomies: taxonomies.map(taxonomy => taxonomyInfo(config, taxonomy)) // [{ name, singular, plural, url (of the terms page) }]
 };
 
+// {{ site.* }} values of each language by code; the default language's are siteContext itself
+const languageSites = { [defaultLanguage.code]: siteContext };
+
+// Function to get the links of a language's site-wide feeds
+function feedLinks(language) {
+    return config.feeds.enabled ? config.feeds.formats.map(format => ({
+        format,
+        type: `application/${format}+xml`,
+        url: absURL(config, `${language.prefix}${format}.xml`)
+    })) : [];
+}
+
+// Function to set up the {{ site.* }} values of the other languages: siteContext with their
+// own title, description, feeds and taxonomy links. Called once data, assets and strings are loaded.
+function createLanguageSites() {
+    languages.filter(language => !language.isDefault).forEach(language => {
+        languageSites[language.code] = {
+            ...siteContext,
+            title: language.title,
+            description: language.description,
+            language: language.code,
+            feeds: feedLinks(language),
+            posts: [],
+            tags: {},
+            taxonomies: taxonomies.map(taxonomy => taxonomyInfo(config, languageTaxonomy(taxonomy, language)))
+        };
+    });
+}
+
+// Templates that read site.posts or site.tags depend on every post, not just their own page
+const SITE_COLLECTIONS_PATTERN = /\bsite\.(posts|tags)\b/;
+
 const layoutCache = {};
 const partialCache = {};
+const shortcodeCache = {};
+const layoutResolutionCache = {};
+
+// Template directories and caches by kind, as the page renderer asks for them
+const templateDirs = { layout: layoutsDir, partial: partialsDir, shortcode: shortcodesDir };
+const templateCaches = { layout: layoutCache, partial: partialCache, shortcode: shortcodeCache };
 
 // Function to read a file from a directory with caching
 async function readFile(dir, name) {
-    const cache = dir === layoutsDir ? layoutCache : partialCache;
+    const kind = Object.keys(templateDirs).find(candidate => templateDirs[candidate] === dir);
+    const cache = templateCaches[kind];
     const filePath = `${dir}/${name}.html`;
 
     if (cache[name]) {
@@ -59,194 +152,192 @@ async function readFile(dir, name) {
     return '';
 }
 
-// Function to preload layouts and partials based on config
-async function preloadTemplates() {
-    // Preload Layouts
-    const layoutFiles = await fs.readdir(layoutsDir);
-    const layoutPromises = layoutFiles.map(async (file) => {
-        if (file.endsWith('.html')) {
-            const layoutName = file.replace('.html', '');
-
-            // Check include/exclude logic for layouts
-            const shouldIncludeLayout =
-                (config.layouts.include.length === 0 || config.layouts.include.includes(layoutName)) &&
-                !config.layouts.exclude.includes(layoutName);
-
-            if (shouldIncludeLayout) {
-                try {
-                    const content = await fs.readFile(path.join(layoutsDir, file), 'utf-8');
-                    layoutCache[layoutName] = content;
-                    console.log(`Preloaded layout: ${layoutName}`);
-                } catch (err) {
-                    console.error(`Error preloading layout ${layoutName}:`, err);
-                }
-            } else {
-                console.log(`Skipped layout: ${layoutName}`);
-            }
-        }
-    });
+// Function to list template names (relative paths without .html) in a directory, recursively
+async function listTemplateNames(dir, prefix = '') {
+    if (!(await fs.pathExists(dir))) return [];
 
-    // Preload Partials
-    const partialFiles = await fs.readdir(partialsDir);
-    const partialPromises = partialFiles.map(async (file) => {
-        if (file.endsWith('.html')) {
-            const partialName = file.replace('.html', '');
-
-            // Check include/exclude logic for partials
-            const shouldIncludePartial =
-                (config.partials.include.length === 0 || config.partials.include.includes(partialName)) &&
-                !config.partials.exclude.includes(partialName);
-
-            if (shouldIncludePartial) {
-                try {
-                    const content = await fs.readFile(path.join(partialsDir, file), 'utf-8');
-                    partialCache[partialName] = content;
-                    console.log(`Preloaded partial: ${partialName}`);
-                } catch (err) {
-                    console.error(`Error preloading partial ${partialName}:`, err);
-                }
-            } else {
-                console.log(`Skipped partial: ${partialName}`);
-            }
+    const names = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            names.push(...await listTemplateNames(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+        } else if (entry.name.endsWith('.html')) {
+            names.push(`${prefix}${entry.name.replace('.html', '')}`);
         }
-    });
-
-    // Wait for all layout and partial promises to resolve
-    await Promise.all([...layoutPromises, ...partialPromises]);
+    }
+    return names;
 }
 
-// Function to render a template with context and partials
-async function renderTemplate(template, context = {}) {
-    if (!template) return '';
+// Function to preload every template in a directory into a cache, honouring include/exclude
+async function preloadTemplateDir(dir, cache, settings, label) {
+    const names = await listTemplateNames(dir);
 
-    context.currentYear = new Date().getFullYear();
-    context.sanitize = sanitizeTagValue;
+    await Promise.all(names.map(async (name) => {
+        // Check include/exclude logic
+        const shouldInclude =
+            (settings.include.length === 0 || settings.include.includes(name)) &&
+            !settings.exclude.includes(name);
 
-    // Render partials
-    const partialMatches = [...template.matchAll(/{{>\s*([\w]+)\s*}}/g)];
-    for (const match of partialMatches) {
-        const [fullMatch, partialName] = match;
-        const partialContent = partialCache[partialName] || await readFile(partialsDir, partialName);
-        if (partialContent) {
-            template = template.replace(fullMatch, partialContent);
-        } else {
-            console.warn(`Partial not found: ${partialName}`);
+        if (!shouldInclude) {
+            console.log(`Skipped ${label}: ${name}`);
+            return;
         }
-    }
-
-    // Render loops
-const loopMatches = [...template.matchAll(/{{#each\s+([\w]+)}}([\s\S]*?){{\/each}}/g)];
-  for (const match of loopMatches) {
-    const [fullMatch, collection, innerTemplate] = match;
-    const items = context[collection];
-    if (Array.isArray(items)) {
-      const renderedItems = await Promise.all(
-        items.map(async (item, index) => {
-          const isLast = index === items.length - 1;
-          const loopContext = {
-            ...context,
-            this: item,
-            comma: isLast ? '' : ', ', // Add comma conditionally
-          };
-          // Render inner template recursively
-          return await renderTemplate(innerTemplate, loopContext);
-        })
-      );
-      // Replace the entire loop block with the rendered items
-      template = template.replace(fullMatch, renderedItems.join(''));
-    } else {
-      template = template.replace(fullMatch, '');
-    }
-  }
 
+        try {
+            cache[name] = await fs.readFile(path.join(dir, `${name}.html`), 'utf-8');
+            console.log(`Preloaded ${label}: ${name}`);
+        } catch (err) {
+            console.error(`Error preloading ${label} ${name}:`, err);
+        }
+    }));
+}
 
-    const conditionalMatches = [...template.matchAll(/{{#if\s+([\w]+)}}([\s\S]*?){{\/if}}/g)];
-    for (const match of conditionalMatches) {
-        const [fullMatch, condition, innerTemplate] = match;
-        template = template.replace(fullMatch, context[condition] ? await renderTemplate(innerTemplate, context) : '');
-    }
+// Function to preload layouts (including section layouts such as games/single) and partials based on config
+async function preloadTemplates() {
+    await Promise.all([
+        preloadTemplateDir(layoutsDir, layoutCache, config.layouts, 'layout'),
+        preloadTemplateDir(partialsDir, partialCache, config.partials, 'partial'),
+        preloadTemplateDir(shortcodesDir, shortcodeCache, { include: [], exclude: [] }, 'shortcode')
+    ]);
+}
 
-    // Render unlesses
-    const unlessMatches = [...template.matchAll(/{{#unless\s+([\w]+)}}([\s\S]*?){{\/unless}}/g)];
-    for (const match of unlessMatches) {
-        const [fullMatch, condition, innerTemplate] = match;
-        template = template.replace(fullMatch, !context[condition] ? await renderTemplate(innerTemplate, context) : '');
+// Function to list a section and its parents, most specific first: 'games/retro' -> ['games/retro', 'games', '']
+function sectionLookupOrder(section) {
+    const order = [];
+    let current = section;
+    while (current) {
+        order.push(current);
+        current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
     }
+    order.push('');
+    return order;
+}
 
-
-
-    // Render variables
-    const variableMatches = [...template.matchAll(/{{\s*([\w]+(?:\s+[\w]+)?)\s*}}/g)];
-    for (const match of variableMatches) {
-      const [fullMatch, key] = match;
-      const parts = key.split(/\s+/);
-  
-      if (parts.length === 2 && parts[0] === 'sanitize') {
-        const tagValue = context[parts[1]];
-        if (tagValue) {
-          const sanitizedValue = Array.isArray(tagValue)
-            ? tagValue.map(sanitizeTagValue)
-            : sanitizeTagValue(tagValue);
-          template = template.replace(fullMatch, sanitizedValue.toString());
-        } else {
-          template = template.replace(fullMatch, '');
+// Function to find the layout for a page: a `layout:` override first, then the kind (single, list, section),
+// each looked up in layouts/<section>/ and its parents before layouts/
+async function resolveLayout(section, kind, override = null) {
+    const cacheKey = `${section}|${kind}|${override || ''}`;
+    if (cacheKey in layoutResolutionCache) return layoutResolutionCache[cacheKey];
+
+    let resolved = kind;
+    const candidates = override ? [override, kind] : [kind];
+
+    search:
+    for (const name of candidates) {
+        for (const dir of sectionLookupOrder(section)) {
+            const layoutName = dir ? `${dir}/${name}` : name;
+            if (layoutCache[layoutName] || await readFile(layoutsDir, layoutName)) {
+                resolved = layoutName;
+                break search;
+            }
+        }
+        if (name === override) {
+            buildIssues.add('error', 'template', `Layout not found: ${override} (section "${section || '/'}"), falling back to ${kind}`);
         }
-      } else if (parts.length === 1) {
-        template = template.replace(fullMatch, context[key] || '');
-      }
     }
 
-    return template;
-}
-
-async function renderWithBase(templateContent, context = {}) {
-    const baseTemplate = layoutCache['base'] || await readFile(layoutsDir, 'base');
-    return await renderTemplate(baseTemplate, { ...context, content: templateContent });
+    layoutResolutionCache[cacheKey] = resolved;
+    return resolved;
 }
 
-async function generateSingleHTML(title, content, fileName, context = {}) {
-    const finalTitle = (title || fileName.replace('.md', '')).replace(/-/g, ' ').toLowerCase();
-    const singleTemplate = layoutCache['single'] || await readFile(layoutsDir, 'single');
-
-    // Merge the existing context with the new data
-    const mergedContext = { ...context, title: finalTitle, content };
-
-    const renderedContent = await renderTemplate(singleTemplate, mergedContext);
-    return await renderWithBase(renderedContent, { title: finalTitle });
-}
+// Problems found while building (see checks.js): printed as they come up, or reported at the end by `check`
+const buildIssues = createIssueLog({ print: !checkMode });
+
+// Parses and renders single pages; render workers create their own (see renderWorker.js)
+const renderer = createPageRenderer(config, {
+    taxonomies,
+    sites: languageSites,
+    loadTemplate: (kind, name) => readFile(templateDirs[kind], name),
+    contentDir,
+    plugins,
+    check: checkMode
+});
+const { renderTemplate, renderPage } = renderer;
 
-async function generateIndex(postSlices, pageNumber, totalPages) {
+// Function to render one page of a language's home page list (index.html, index-2.html, ja/index.html)
+async function generateIndex(language, postSlices, pageNumber, totalPages, translations) {
     // Slice the posts array to get the current page posts
     const pagePosts = postSlices[pageNumber - 1];
+    const site = languageSites[language.code];
 
     const listTemplate = layoutCache['list'] || await readFile(layoutsDir, 'list');
-    const indexTemplate = layoutCache['index'] || await readFile(layoutsDir, 'index');
 
     // Render the list of posts for the current page
-    const listHTML = await renderTemplate(listTemplate, { posts: pagePosts });
+    const listHTML = await renderTemplate(listTemplate, { posts: pagePosts, site }, 'list.html');
 
     // Calculate previous and next page links
-    const prevPage = pageNumber > 1 ? `/yuushacms/index-${pageNumber - 1}.html` : null;
-    const nextPage = pageNumber < totalPages ? `/yuushacms/index-${pageNumber + 1}.html` : null;
+    const prevPage = pageNumber > 1 ? indexPageURL(language, pageNumber - 1) : null;
+    const nextPage = pageNumber < totalPages ? indexPageURL(language, pageNumber + 1) : null;
 
-    const renderedContent = await renderTemplate(indexTemplate, {
+    return await renderPage('index', {
         list: listHTML,
         currentPage: pageNumber,
         totalPages: totalPages,
         prevPage: prevPage,
-        nextPage: nextPage
+        nextPage: nextPage,
+        translations,
+        site
+    }, { title: 'Home', url: pageURL(indexPageFileName(language, pageNumber)), translations, site });
+}
+
+// Function to render one page of a section's list, e.g. /games/ or /games/page-2.html
+async function generateSectionPage(language, section, pagePosts, pageNumber, totalPages, layouts, translations) {
+    const site = languageSites[language.code];
+    const listTemplate = layoutCache[layouts.list] || await readFile(layoutsDir, layouts.list);
+
+    // Render the list of posts for the current page
+    const listHTML = await renderTemplate(listTemplate, { posts: pagePosts, section, site }, `${layouts.list}.html`);
+
+    return await renderPage(layouts.section, {
+        section,
+        title: section.title,
+        posts: pagePosts,
+        list: listHTML,
+        currentPage: pageNumber,
+        totalPages: totalPages,
+        prevPage: pageNumber > 1 ? sectionPageURL(language, section.name, pageNumber - 1) : null,
+        nextPage: pageNumber < totalPages ? sectionPageURL(language, section.name, pageNumber + 1) : null,
+        translations,
+        site
+    }, {
+        title: section.title,
+        url: sectionPageURL(language, section.name, pageNumber),
+        translations,
+        site
     });
+}
+
+// Function to get the output path of a section list page, relative to the output directory
+function sectionPagePath(language, sectionName, pageNumber = 1) {
+    return `${language.prefix}${sectionName}/${pageNumber === 1 ? 'index.html' : `page-${pageNumber}.html`}`;
+}
+
+// Function to get the URL of a section list page; the first page links to its directory
+function sectionPageURL(language, sectionName, pageNumber = 1) {
+    return relURL(config, sectionPagePath(language, sectionName, pageNumber).replace(/index\.html$/, ''));
+}
+
+// Function to get the file name of an index page (page 1 is index.html), under the language's prefix
+function indexPageFileName(language, pageNumber) {
+    return `${language.prefix}${pageNumber === 1 ? 'index.html' : `index-${pageNumber}.html`}`;
+}
+
+// Function to get the URL of a page from its output path, without a trailing index.html
+function pageURL(relativePath) {
+    return relURL(config, relativePath.replace(/(^|\/)index\.html$/, '$1'));
+}
 
-    return await renderWithBase(renderedContent, { title: 'Home' });
+// Function to get the URL of an index page
+function indexPageURL(language, pageNumber) {
+    return relURL(config, indexPageFileName(language, pageNumber));
 }
 
 // Function to generate pagination links
-function generatePaginationLinks(currentPage, totalPages) {
+function generatePaginationLinks(currentPage, totalPages, language = defaultLanguage) {
     let links = '';
 
     // Previous Page Link
     if (currentPage > 1) {
-        links += `<a href="/yuushacms/index${currentPage - 1 === 1 ? '' : `-${currentPage - 1}`}.html">Previous</a> `;
+        links += `<a href="${indexPageURL(language, currentPage - 1)}">Previous</a> `;
     }
 
     // Page Number Links
@@ -254,190 +345,558 @@ function generatePaginationLinks(currentPage, totalPages) {
         if (i === currentPage) {
             links += `<strong>${i}</strong> `;
         } else {
-            links += `<a href="/yuushacms/index-${i}.html">${i}</a> `;
+            links += `<a href="${indexPageURL(language, i)}">${i}</a> `;
         }
     }
 
     // Next Page Link
     if (currentPage < totalPages) {
-        links += `<a href="/yuushacms/index-${currentPage + 1}.html">Next</a>`;
+        links += `<a href="${indexPageURL(language, currentPage + 1)}">Next</a>`;
     }
 
     return links;
 }
 
-// tags
-async function extractTagTypesFromLayouts() {
-  const layoutFiles = await fs.readdir(layoutsDir);
-  const tagTypes = new Set();
+// Function to describe a page in another language for `translations` and hreflang links
+function translationLink(language, relativePath, title = null) {
+    return { language: language.code, name: language.name, title, url: pageURL(relativePath) };
+}
+
+// Function to link a list page to the same page in the other languages
+// pathIn(language) returns the page's output path in a language, or null where it has no such page
+function listTranslations(language, pathIn) {
+    return languages
+        .filter(other => other !== language)
+        .map(other => {
+            const relativePath = pathIn(other);
+            return relativePath ? translationLink(other, relativePath) : null;
+        })
+        .filter(Boolean);
+}
+
 
-  for (const file of layoutFiles) {
-    if (file.endsWith('.html')) {
-      const content = await fs.readFile(path.join(layoutsDir, file), 'utf-8');
-      const regex = /<a href="\/tags\/([\w]+)\//g; // Regular expression to find tag types
-      let match;
-      while ((match = regex.exec(content)) !== null) {
-        tagTypes.add(match[1]); // Add the captured group (tag type) to the set
-      }
+// Function to hash a set of layouts together with every partial they include
+// collectionsKey (the hash of site.posts and site.tags) is included when one of them uses those
+async function hashTemplates(layoutNames, collectionsKey) {
+    // Site settings and data (of every language) are part of every page, so they count as a template input
+    const parts = [config.basePath, plugins.key]; // Plugins can change any page as it is rendered
+    languages.forEach(language => {
+        const { posts, tags, ...settings } = languageSites[language.code];
+        parts.push(JSON.stringify(settings));
+    });
+    const seenPartials = new Set();
+    let usesCollections = false;
+
+    const addPartials = (source, name) => {
+        templateEngine.listPartials(source, name).forEach(partialName => {
+            if (seenPartials.has(partialName)) return;
+            seenPartials.add(partialName);
+            const partialSource = partialCache[partialName] || '';
+            parts.push(`partial:${partialName}`, partialSource);
+            usesCollections = usesCollections || SITE_COLLECTIONS_PATTERN.test(partialSource);
+            addPartials(partialSource, partialName);
+        });
+    };
+
+    for (const layoutName of layoutNames) {
+        const source = layoutCache[layoutName] || await readFile(layoutsDir, layoutName);
+        parts.push(`layout:${layoutName}`, source);
+        usesCollections = usesCollections || SITE_COLLECTIONS_PATTERN.test(source);
+        addPartials(source, `${layoutName}.html`);
     }
-  }
 
-  return Array.from(tagTypes); // Return tag types as an array
+    if (usesCollections) parts.push(collectionsKey);
+    return hashContent(...parts);
 }
 
-// Helper function to sanitize tag values (used in generateTagPages and tag collection)
-function sanitizeTagValue(tagValue) {
-    const maxLength = 50; // Or any other reasonable length
-    const truncated = tagValue.length > maxLength ? tagValue.substring(0, maxLength) + "..." : tagValue;
-    return encodeURIComponent(truncated.toLowerCase().replace(/\s+/g, '-'));
+// Function to get (and memoize for this build) the template hash for a set of layouts
+async function getTemplateKey(build, layoutNames) {
+    const key = layoutNames.join('+');
+    if (!(key in build.templateKeys)) {
+        build.templateKeys[key] = await hashTemplates(layoutNames, build.collectionsKey);
+    }
+    return build.templateKeys[key];
 }
 
-
-// Main content processing function
-async function processContent() {
-    // Track time for data extraction
-    const dataStartTime = Date.now();
-    const extractedData = await extractDataFromSources(config); // ONLY ONE CALL NEEDED
-    const dataEndTime = Date.now();
-    const dataDuration = (dataEndTime - dataStartTime) / 1000;
-
-    const files = await fs.readdir(contentDir);
-    const markdownFiles = [];
-
-    const tagTypes = await extractTagTypesFromLayouts();
-    const tagData = {};
-
-    // Traverse through the content directory
-    for (const file of files) {
-        const fullPath = `${contentDir}/${file}`;
-        const stats = await fs.stat(fullPath);
-
-        if (stats.isDirectory()) {
-            const nestedFiles = await fs.readdir(fullPath);
-            nestedFiles.forEach(nestedFile => {
-                if (nestedFile.endsWith('.md')) {
-                    markdownFiles.push(`${file}/${nestedFile}`);
-                }
-            });
-        } else if (stats.isFile() && file.endsWith('.md')) {
-            markdownFiles.push(file);
+// Function to list markdown files under a directory recursively, as paths relative to contentDir
+async function listMarkdownFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            files.push(...await listMarkdownFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`));
+        } else if (entry.isFile() && entry.name.endsWith('.md')) {
+            files.push(`${prefix}${entry.name}`);
         }
     }
+    return files;
+}
 
-    await fs.ensureDir(outputDir);
+// Function to load a page source: a markdown file in content/ ({ file }) or a virtual page
+// from a data source ({ file, page }, see dataExtractor.js), so both go through the same pipeline
+// Returns { file, origin, hash, input, modified() -> ISO date }, where origin names the source in
+// messages and input is the plain source that the renderer parses (see pageRenderer.js), on this
+// thread or in a render worker
+async function loadPageSource({ file, page }) {
+    if (page) {
+        return {
+            file,
+            origin: page.origin || `${file} (data source)`,
+            hash: page.hash,
+            input: { file, page: { data: page.data, body: page.body } },
+            modified: async () => page.modified
+        };
+    }
 
-    const posts = [];
-    const skippedEntries = [];
-    const startTime = Date.now();
+    const filePath = `${contentDir}/${file}`;
+    const content = await fs.readFile(filePath, 'utf-8');
+    return {
+        file,
+        origin: filePath,
+        hash: hashContent(content),
+        input: { file, content },
+        modified: async () => (await fs.stat(filePath)).mtime.toISOString()
+    };
+}
 
-    let totalPostDuration = 0;
-    let postCount = 0;
+// Function to create (or return) a section of a language and register it with its parent sections
+function ensureSection(sections, name, language) {
+    if (!name || sections[name]) return sections[name];
+
+    const parentName = sectionOf(name);
+    const baseName = path.posix.basename(name);
+    sections[name] = {
+        name,
+        title: baseName.replace(/[-_]/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
+        url: sectionPageURL(language, name),
+        content: '',
+        posts: [],
+        subsections: []
+    };
+
+    const parent = ensureSection(sections, parentName, language);
+    if (parent) parent.subsections.push(name);
+    return sections[name];
+}
 
-    // Process all collected markdown files
-    for (const file of markdownFiles) {
-        const postStartTime = Date.now();
-        const content = await fs.readFile(`${contentDir}/${file}`, 'utf-8');
-        const { data, content: mdContent } = matter(content);
-        const htmlContent = marked(mdContent);
+// Function to check whether an output recorded in the previous manifest can be kept as-is
+async function isOutputCurrent(build, relativePath, hash) {
+    return build.previous.outputs[relativePath] === hash && await fs.pathExists(path.join(outputDir, relativePath));
+}
 
-        if (!data.title) {
-            skippedEntries.push({ title: file.replace('.md', ''), link: `${file.replace('.md', '')}.html` });
-            continue;
-        }
+// Function to write an output file unless the manifest shows it is already up to date
+async function writeOutput(build, relativePath, hash, render) {
+    build.next.outputs[relativePath] = hash;
 
- if (data.cast && typeof data.cast === 'string') {
-        data.cast = data.cast.split(',').map(name => name.trim());
+    if (await isOutputCurrent(build, relativePath, hash)) {
+        build.stats.reused++;
+        return false;
     }
 
-     
-        const context = { ...data, content: htmlContent };
-        const html = await generateSingleHTML(data.title, htmlContent, file, context);
+    const outputFilePath = path.join(outputDir, relativePath);
+    await fs.ensureDir(path.dirname(outputFilePath));
+    await fs.writeFile(outputFilePath, await render());
+    build.stats.rendered++;
+    return true;
+}
 
-        const slug = file.replace('.md', '').toLowerCase(); // Lowercase the slug
-const outputFilePath = path.join(outputDir, `${slug}.html`);
-        const outputDirPath = path.dirname(outputFilePath);
-        await fs.ensureDir(outputDirPath);
+// Function to delete outputs from the previous build that nothing produced this time
+async function removeStaleOutputs(build) {
+    for (const relativePath in build.previous.outputs) {
+        if (relativePath in build.next.outputs) continue;
+
+        const outputFilePath = path.join(outputDir, relativePath);
+        await fs.remove(outputFilePath);
+        build.stats.deleted++;
+
+        // Clean up directories left empty, e.g. tags/director/<name>/
+        let dir = path.dirname(outputFilePath);
+        while (path.relative(outputDir, dir) && !path.relative(outputDir, dir).startsWith('..')) {
+            if (!(await fs.pathExists(dir)) || (await fs.readdir(dir)).length > 0) break;
+            await fs.remove(dir);
+            dir = path.dirname(dir);
+        }
+    }
+}
 
-        await fs.writeFile(outputFilePath, html);
+// Function to copy static/ into the output directory; files are compared by size and modification time
+async function writeStaticFiles(build) {
+    const files = await listStaticFiles(config.static.dir);
+    await Promise.all(files.map(file =>
+        writeOutput(build, file.path, file.hash, () => fs.readFile(file.file))));
+    return files.length;
+}
 
-        const postTitle = (data.title || slug.replace(/-/g, ' ')).toLowerCase();
-        posts.push({ title: postTitle, url: `${slug}.html` });
+// Function to build assets/ into the output directory and record their URLs for the asset helper
+async function writeAssets(build) {
+    build.assets = await buildAssets(config.assets.dir, config.assets);
+    siteContext.assets = {};
+    await Promise.all(build.assets.map(asset => {
+        siteContext.assets[asset.name] = relURL(config, asset.path);
+        return writeOutput(build, asset.path, asset.hash, () => asset.content);
+    }));
+    return build.assets.length;
+}
 
-// Collect tag data using extracted tag types
-tagTypes.forEach(tagType => {
-    if (!data[tagType]) return; // Skip if tagType doesn't exist in data
+// Function to delete fingerprinted assets that are no longer current, including ones
+// the manifest doesn't know about (a --force build or a deleted manifest)
+async function removeOldFingerprints(build) {
+    for (const file of await findOldFingerprints(outputDir, build.assets)) {
+        await fs.remove(file);
+        build.stats.deleted++;
+    }
+}
 
-    const tagValues = Array.isArray(data[tagType]) ? data[tagType] : [data[tagType]];
-    const sanitizedTagValues = []; // Array to store sanitized values
+// Function to get the number of render workers from config.render.workers
+// ('auto' keeps one core for the main thread; 0 renders everything on the main thread)
+function renderWorkerCount() {
+    const { workers } = config.render;
+    if (workers === 'auto') return Math.max(0, os.cpus().length - 1);
+    const count = Number(workers);
+    return Number.isInteger(count) && count > 0 ? count : 0;
+}
 
-    tagValues.forEach(tagValue => {
-        const sanitizedTagValue = sanitizeTagValue(tagValue);
-        sanitizedTagValues.push(sanitizedTagValue); // Add to sanitized array
+// Function to start the pool that parses and renders pages (see renderWorker.js): worker threads
+// for builds of at least config.render.minPages pages, the main thread for smaller ones
+function createRenderPool(pageCount) {
+    const workers = renderWorkerCount();
+    if (workers === 0 || pageCount < config.render.minPages) {
+        return createInlinePool(createTaskHandlers(renderer, languageSites));
+    }
 
-        // Ensure tagType and sanitizedTagValue exist in tagData
-        if (!tagData[tagType]) tagData[tagType] = {};
-        if (!tagData[tagType][sanitizedTagValue]) tagData[tagType][sanitizedTagValue] = [];
+    return createWorkerPool(path.join(__dirname, 'renderWorker.js'), workers, {
+        configPath: getFlagValue('config', null),
+        contentDir,
+        taxonomies,
+        sites: languageSites,
+        templates: templateCaches,
+        dirs: templateDirs,
+        check: checkMode
+    });
+}
 
-        // Add post info to tagData
-        tagData[tagType][sanitizedTagValue].push({
-            title: postTitle,
-            url: `${slug}.html`
-        });
+// Function to time one phase of the build for the statistics
+// run returns how many items it handled (in `unit`); by default the files written during the phase are counted
+async function timePhase(build, name, run, unit = 'files written') {
+    const phaseStartTime = Date.now();
+    const renderedBefore = build.stats.rendered;
+    const count = await run();
+    build.phases.push({
+        name,
+        unit,
+        seconds: (Date.now() - phaseStartTime) / 1000,
+        count: count === undefined ? build.stats.rendered - renderedBefore : count
     });
+}
 
-    // Update the original data object with the sanitized array
-    data[tagType] = sanitizedTagValues; // Assign the array of sanitized values
-});
-     
-        const postEndTime = Date.now();
-        const postDuration = (postEndTime - postStartTime) / 1000;
-        totalPostDuration += postDuration;
-        postCount++;
+// Main content processing function
+async function processContent() {
+    const startTime = Date.now();
+    const previousManifest = forceRebuild ? createManifest() : await loadManifest(manifestPath);
+    const build = {
+        previous: previousManifest,
+        next: createManifest(),
+        stats: { rendered: 0, reused: 0, deleted: 0 },
+        phases: [], // { name, unit, seconds, count } of each phase, see timePhase
+        // Markdown and image settings, shortcode templates and plugins change the HTML of every page
+        markdownKey: hashContent(config.markdown, shortcodeCache, config.images, config.static.dir, plugins.key)
+    };
+    build.parseKey = hashContent(config.search, config.slug, taxonomies, languages, config.check.schemas, build.markdownKey); // Pages parsed with other search, slug, taxonomy, language, schema or markdown settings are parsed again
+
+    let imported;
+    await timePhase(build, 'Data sources', async () => {
+        imported = await extractDataFromSources(config, previousManifest.dataSources, { offline, materialize }); // ONLY ONE CALL NEEDED
+        build.next.dataSources = imported.sources;
+
+        // Plugins can change, drop or add virtual pages ({ file, data, body }), so they are hashed again
+        imported.pages = (await plugins.run('onSourceData', imported.pages)).map(page => {
+            if (!page || !page.file || !page.data) throw new Error(`onSourceData: pages need a file and data, got ${JSON.stringify(page)}`);
+            return { ...page, body: page.body || '', hash: hashContent(page.data, page.body || '') };
+        });
+        return imported.pages.length;
+    }, 'rows');
+
+    // Assets come first: their fingerprinted URLs are part of the site settings every page renders with
+    await fs.ensureDir(outputDir);
+    await timePhase(build, 'Static files and assets', async () => {
+        return await writeStaticFiles(build) + await writeAssets(build);
+    }, 'files');
+    createLanguageSites();
+
+    build.templateKeys = {};
+    build.sitemap = [];
+    build.parsed = new Map();
+    build.writtenImages = new Set(); // Output paths of images, see writeImages
+
+    // Traverse through the content directory; _index.md files describe their section
+    const allMarkdownFiles = await listMarkdownFiles(contentDir);
+    const isSectionIndex = file => path.posix.basename(splitLanguage(file, languages).file) === '_index.md';
+    const markdownFiles = allMarkdownFiles.filter(file => !isSectionIndex(file));
+    // Rows of data sources are never written to content/; they are ordered among the files
+    // as if they were, so posts without a sort value keep the same order either way
+    const pageEntries = [
+        ...markdownFiles.map(file => ({ file })),
+        ...imported.pages.map(page => ({ file: page.file, page }))
+    ].sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+
+    // Posts, terms and sections of each language; list pages, feeds and links between posts stay within one
+    build.languages = new Map(languages.map(language => [language.code, {
+        language,
+        posts: [],
+        tagData: {},
+        sections: {}
+    }]));
+
+    for (const file of allMarkdownFiles) {
+        const { language: code, file: pageFile } = splitLanguage(file, languages);
+        const { language, sections } = build.languages.get(code);
+        const section = ensureSection(sections, sectionOf(pageFile), language);
+        if (section && isSectionIndex(file)) {
+            const { data, content: sectionContent } = matter(await fs.readFile(`${contentDir}/${file}`, 'utf-8'));
+            const { html, images } = await renderer.renderMarkdown(sectionContent, { file, data, language: code });
+            await writeImages(build, images);
+            // Front matter can set title and other fields, but not the section's own bookkeeping
+            Object.assign(section, data, {
+                name: section.name,
+                url: section.url,
+                posts: section.posts,
+                subsections: section.subsections,
+                content: html
+            });
+        }
     }
 
-    // Generate tag pages AFTER the main loop has finished processing all files
-    await generateTagPages(tagData);
+    const posts = []; // Of every language
+    const skippedEntries = [];
+    const hiddenEntries = [];
+    const sortValues = new Map();
+    const postSources = new Map();
+    const outputOwners = new Map();
+    const searchDocuments = [];
+    const published = [];
+    const buildTime = new Date();
+
+    // Pages are parsed and singles rendered by the pool; list pages, feeds and the rest stay on this thread
+    build.pool = createRenderPool(pageEntries.length);
+    try {
+        // Parse the markdown files and virtual pages that are new or changed; the others reuse their manifest entry
+        const sources = [];
+        const parsedPages = new Map();
+        await timePhase(build, 'Parse pages', async () => {
+            for (const entry of pageEntries) {
+                sources.push(await loadPageSource(entry));
+            }
+
+            // Pages are parsed again when one of their images changed as well
+            const changed = [];
+            for (const source of sources) {
+                const page = build.previous.pages[source.file];
+                if (!page || page.hash !== source.hash || page.parseKey !== build.parseKey || await imagesChanged(page.images)) {
+                    changed.push(source);
+                }
+            }
+            const results = await Promise.all(changed.map(source =>
+                build.pool.run('parse', { source: source.input, hash: source.hash, parseKey: build.parseKey })));
+
+            changed.forEach((source, index) => {
+                const { entry, parsed } = results[index];
+                parsedPages.set(source.file, entry);
+                if (parsed) build.parsed.set(source.file, parsed);
+            });
+            return changed.length;
+        }, 'pages parsed');
+
+        // Collect every page. Singles are rendered once every page is known, so their
+        // templates can list other posts through site.posts
+        for (const source of sources) {
+            const { file } = source;
+            const page = parsedPages.get(file) || build.previous.pages[file];
+            build.next.pages[file] = page;
+
+            if (page.skipped) {
+                // Normal builds list them with the statistics
+                if (checkMode) buildIssues.add('error', 'front matter', 'No title, so the page is skipped', file);
+                skippedEntries.push({ title: file.replace('.md', ''), link: `${file.replace('.md', '')}.html` });
+                continue;
+            }
+
+            (page.problems || []).forEach(problem => buildIssues.add('error', 'front matter', problem, file));
+
+            if (!isPublished(page, buildTime)) {
+                build.parsed.delete(file);
+                hiddenEntries.push({ title: page.post.title, reason: unpublishedReason(page, buildTime) });
+                continue;
+            }
+
+            // Two files with the same slug would overwrite each other's page
+            if (outputOwners.has(page.output)) {
+                buildIssues.add('error', 'output', `${source.origin} and ${outputOwners.get(page.output)} both write ${page.output}; give one of them a different slug`);
+            }
+            outputOwners.set(page.output, source.origin);
+
+            const content = build.languages.get(page.language);
+            const { tagData } = content;
+            sortValues.set(page.post, page.sortValue);
+            postSources.set(page.post, { source, page });
+            posts.push(page.post);
+            content.posts.push(page.post);
+            published.push({ source, page });
+            if (page.search) searchDocuments.push({ url: page.post.url, ...page.search });
+
+            const lastmod = page.lastmod || await source.modified();
+            addToSitemap(build, page.output, lastmod);
+            if (page.section) ensureSection(content.sections, page.section, content.language).posts.push(page.post);
+
+            // Collect the posts of every term; the first spelling of a term names its page
+            for (const taxonomyName in page.tags) {
+                if (!tagData[taxonomyName]) tagData[taxonomyName] = {};
+                const terms = tagData[taxonomyName];
+
+                page.tags[taxonomyName].forEach(({ slug, name }) => {
+                    if (!terms[slug]) terms[slug] = { name, posts: [] };
+                    terms[slug].posts.push(page.post);
+                });
+            }
+        }
+
+        // Sort every listing by the configured key and order
+        const comparePosts = createPostComparator(sortValues);
+        posts.sort(comparePosts);
+        build.languages.forEach(({ language, posts: languagePosts, sections, tagData }) => {
+            languagePosts.sort(comparePosts);
+            Object.values(sections).forEach(section => section.posts.sort(comparePosts));
+            Object.values(tagData).forEach(terms => Object.values(terms).forEach(term => term.posts.sort(comparePosts)));
+
+            // Site-wide collections for templates, in the language's own posts and terms
+            languageSites[language.code].posts = languagePosts;
+            languageSites[language.code].tags = collectSiteTags(tagData, language);
+        });
+        // Pages whose templates use them depend on every post
+        const collections = {};
+        languages.forEach(({ code }) => {
+            collections[code] = { posts: languageSites[code].posts, tags: languageSites[code].tags };
+        });
+        build.collectionsKey = hashContent(collections);
+
+        // Hash each kind of page's templates; a change re-renders every page of that kind
+        build.templates = {
+            index: await hashTemplates(['index', 'list', 'base'], build.collectionsKey)
+        };
+        build.next.templates = build.templates;
+
+        // Render the singles whose source, templates or links to other posts changed, a batch
+        // at a time so the pool stays busy without holding every page's HTML in memory at once
+        await timePhase(build, 'Render singles', async () => {
+            await build.pool.runOnAll('site', collections);
+
+            // Neighbours and related posts come from the page's own language
+            build.languages.forEach(content => {
+                content.neighbours = sectionNeighbours(content.posts);
+                content.findRelated = createRelatedFinder(content.posts, content.tagData, config.related);
+            });
+            const findTranslations = createTranslationFinder(published);
+
+            const batchSize = Math.max(1, build.pool.size) * 64;
+            for (let i = 0; i < published.length; i += batchSize) {
+                await Promise.all(published.slice(i, i + batchSize).map(({ source, page }) => {
+                    const { neighbours, findRelated } = build.languages.get(page.language);
+                    return writeSingle(build, source, page, {
+                        url: page.post.url,
+                        ...neighbours.get(page.post),
+                        related: findRelated(page),
+                        translations: findTranslations(page)
+                    });
+                }));
+            }
+        });
+        buildIssues.merge((await build.pool.runOnAll('issues')).flat());
+    } finally {
+        await build.pool.close();
+    }
 
     // Generate paginated index pages
     const postsPerPage = config.pagination.postsPerPage;
-    const totalPages = Math.ceil(posts.length / postsPerPage);
-    const pageStartTime = Date.now();
-    const postSlices = [];
+    let totalPages = 0;
 
-    for (let i = 0; i < totalPages; i++) {
-        postSlices.push(posts.slice(i * postsPerPage, (i + 1) * postsPerPage));
-    }
+    await timePhase(build, 'List pages', async () => {
+        for (const content of build.languages.values()) {
+            const { language } = content;
 
-    const pagePromises = [];
-    for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
-        pagePromises.push((async () => {
-            const indexHTML = await generateIndex(postSlices, pageNumber, totalPages);
-            const pageFileName = pageNumber === 1 ? 'index.html' : `index-${pageNumber}.html`;
-            await fs.writeFile(`${outputDir}/${pageFileName}`, indexHTML);
-        })());
-    }
-    await Promise.all(pagePromises);
+            // Generate terms and term pages AFTER the main loop has finished processing all files
+            await generateTaxonomyPages(content, build);
+
+            // Generate paginated list pages for every section
+            await generateSectionPages(content, build);
+
+            const languagePages = Math.ceil(content.posts.length / postsPerPage);
+            totalPages += languagePages;
+            const postSlices = [];
+            for (let i = 0; i < languagePages; i++) {
+                postSlices.push(content.posts.slice(i * postsPerPage, (i + 1) * postsPerPage));
+            }
+            const translations = listTranslations(language, other =>
+                (build.languages.get(other.code).posts.length > 0 ? indexPageFileName(other, 1) : null));
+
+            const pagePromises = [];
+            for (let pageNumber = 1; pageNumber <= languagePages; pageNumber++) {
+                const pageFileName = indexPageFileName(language, pageNumber);
+                const pageHash = hashContent(build.templates.index, language.code, postSlices[pageNumber - 1], pageNumber, languagePages, translations);
+                pagePromises.push(writeOutput(build, pageFileName, pageHash,
+                    () => generateIndex(language, postSlices, pageNumber, languagePages, translations)));
+            }
+            await Promise.all(pagePromises);
+            postSlices.forEach((slice, index) => addToSitemap(build, indexPageFileName(language, index + 1), latestPostDate(slice)));
+        }
+    });
+
+    // Feeds for each language and each tag, then the sitemap of everything above
+    await timePhase(build, 'Feeds, sitemap and search', async () => {
+        for (const content of build.languages.values()) {
+            await generateFeeds(build, content, postSources);
+        }
+        await generateSitemap(build);
+        await generateSearchIndex(build, searchDocuments);
+    });
 
-    const pageEndTime = Date.now();
-    const pageDuration = (pageEndTime - pageStartTime) / 1000;
-    const averageTimePerPage = totalPages > 0 ? (pageDuration / totalPages).toFixed(4) : 0;
+    await timePhase(build, 'Cleanup', async () => {
+        await removeStaleOutputs(build);
+        await removeOldFingerprints(build);
+        await saveManifest(manifestPath, build.next);
+        return build.stats.deleted;
+    }, 'files deleted');
 
-    const totalEndTime = Date.now();
-    const totalElapsed = ((totalEndTime - startTime) / 1000).toFixed(5);
+    await plugins.run('onBuildEnd', { outputDir, posts, stats: build.stats });
+
+    const totalElapsed = ((Date.now() - startTime) / 1000).toFixed(5);
+    const phaseSeconds = name => build.phases.find(phase => phase.name === name).seconds;
+    const postSeconds = phaseSeconds('Parse pages') + phaseSeconds('Render singles');
 
     console.log('--- Build Statistics ---');
-    console.log(`Total Entries Processed: ${markdownFiles.length}`);
+    console.log(`Total Entries Processed: ${pageEntries.length}`);
     console.log(`Total Posts Created: ${posts.length}`);
     console.log(`Total Pages Created: ${totalPages}`);
-    console.log(`Time taken to process data: ${dataDuration} seconds`);
+    console.log(`Render Workers: ${build.pool.size || 'none (main thread)'}`);
+    console.log(`Time taken to process data: ${phaseSeconds('Data sources')} seconds`);
 
-    if (postCount > 0) {
-        console.log(`Average Time per Post: ${(totalPostDuration / postCount).toFixed(5)} seconds`);
+    if (posts.length > 0) {
+        console.log(`Average Time per Post: ${(postSeconds / posts.length).toFixed(5)} seconds`);
     } else {
         console.log(`No posts were created.`);
     }
 
-    console.log(`Average Time per Page: ${averageTimePerPage} seconds`);
+    console.log(`Files Rendered: ${build.stats.rendered}, Unchanged: ${build.stats.reused}, Deleted: ${build.stats.deleted}`);
+
+    console.log(`Phases:`);
+    build.phases.forEach(({ name, unit, seconds, count }) => {
+        const throughput = seconds > 0 && count > 0 ? ` (${Math.round(count / seconds)} ${unit.split(' ')[0]}/s)` : '';
+        console.log(`- ${name}: ${seconds.toFixed(3)} seconds, ${count} ${unit}${throughput}`);
+    });
+
+    if (hiddenEntries.length > 0) {
+        console.log(`Unpublished Entries (drafts, future or expired):`);
+        hiddenEntries.forEach(entry => {
+            console.log(`- Title: ${entry.title} (${entry.reason})`);
+        });
+    }
 
     if (skippedEntries.length > 0) {
         console.log(`Skipped Entries:`);
@@ -449,60 +908,429 @@ tagTypes.forEach(tagType => {
     }
 
     console.log(`Total Build Time: ${totalElapsed} seconds`);
+
+    // Template problems of the list pages, rendered on this thread
+    buildIssues.merge(renderer.takeIssues());
+    return buildIssues.take();
+}
+
+// Function to hash everything a single page is rendered from
+async function singleOutputHash(build, page, layoutName, links) {
+    return hashContent(page.hash, await getTemplateKey(build, [layoutName, 'base']), taxonomies, config.sort, config.dateFormat, config.slug, build.markdownKey, links, page.images);
+}
+
+// Function to write the resized images of a page (see images.js); pages sharing an image write it once
+async function writeImages(build, images = []) {
+    for (const image of images) {
+        for (const output of image.outputs) {
+            if (build.writtenImages.has(output.path)) continue;
+            build.writtenImages.add(output.path);
+            await writeOutput(build, output.path, output.hash, () => renderer.loadImage(image, output));
+        }
+    }
+}
+
+// Function to get why a page is not built: a draft (unless --drafts), scheduled for
+// later or expired. Returns null for pages that should be built.
+function unpublishedReason(page, now) {
+    if (page.draft && !buildDrafts) return 'draft';
+    if (page.publishDate && new Date(page.publishDate) > now) return 'scheduled';
+    if (page.expiryDate && new Date(page.expiryDate) <= now) return 'expired';
+    return null;
+}
+
+// Function to check whether a page should be built
+function isPublished(page, now) {
+    return unpublishedReason(page, now) === null;
+}
+
+// Function to compare posts by config.sort; posts without a value always go last
+function createPostComparator(sortValues) {
+    const direction = String(config.sort.order).toLowerCase() === 'asc' ? 1 : -1;
+
+    return (a, b) => {
+        const valueA = sortValues.get(a);
+        const valueB = sortValues.get(b);
+        if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+        if (valueB === null || valueB === undefined) return -1;
+
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return (valueA - valueB) * direction;
+        }
+        return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+    };
+}
+
+// Function to create a function that lists the translations of a published page: the pages
+// of other languages with the same translation key, in the order of config.languages
+function createTranslationFinder(published) {
+    const byKey = new Map();
+    published.forEach(({ page }) => {
+        if (!byKey.has(page.translationKey)) byKey.set(page.translationKey, []);
+        byKey.get(page.translationKey).push(page);
+    });
+
+    return (page) => languages
+        .filter(language => language.code !== page.language)
+        .map(language => byKey.get(page.translationKey).find(other => other.language === language.code))
+        .filter(Boolean)
+        .map(other => translationLink(languages.find(language => language.code === other.language), other.output, other.post.title));
+}
+
+// Function to write the single page of a published post unless its source and templates are unchanged
+// links are the page's { prevPost, nextPost, related } posts (see relatedPosts.js) and its translations
+async function writeSingle(build, source, page, links) {
+    const layoutName = await resolveLayout(page.section, 'single', page.layout);
+    const outputHash = await singleOutputHash(build, page, layoutName, links);
+    await writeImages(build, page.images);
+
+    // Pages parsed in this build hand their result to the renderer; reused ones are parsed there
+    await writeOutput(build, page.output, outputHash, () => build.pool.run('render', {
+        source: source.input,
+        parsed: build.parsed.get(source.file) || null,
+        section: page.section,
+        language: page.language,
+        layoutName,
+        links
+    }));
+    build.parsed.delete(source.file); // Feeds with full content parse it again if they need it
+}
+
+// Function to list the terms of each taxonomy of a language for site.tags, in the taxonomy's sort order
+function collectSiteTags(tagData, language) {
+    const tags = {};
+    taxonomies.forEach(taxonomy => {
+        const terms = tagData[taxonomy.name] || {};
+        tags[taxonomy.name] = sortTerms(Object.keys(terms).map(slug => ({
+            name: terms[slug].name,
+            slug,
+            url: termPageURL(config, languageTaxonomy(taxonomy, language), slug),
+            count: terms[slug].posts.length
+        })), taxonomy);
+    });
+    return tags;
 }
 
-// Function to generate tag pages (no changes needed here)
-async function generateTagPages(tagData) {
-    const tagTemplate = layoutCache['tag'] || await readFile(layoutsDir, 'tag');
+// Function to generate the paginated list pages of each section of a language (/games/, /games/page-2.html)
+async function generateSectionPages(content, build) {
+    const postsPerPage = config.pagination.postsPerPage;
+    const { language, sections } = content;
+
+    for (const name in sections) {
+        const section = sections[name];
+        const layouts = {
+            section: await resolveLayout(name, 'section'),
+            list: await resolveLayout(name, 'list')
+        };
+        const templateKey = await getTemplateKey(build, [layouts.section, layouts.list, 'base']);
+        const sectionInfo = {
+            ...section,
+            subsections: section.subsections.map(subsection => ({
+                name: subsection,
+                title: sections[subsection].title,
+                url: sections[subsection].url
+            }))
+        };
+        const totalPages = Math.max(1, Math.ceil(section.posts.length / postsPerPage));
+        const translations = listTranslations(language, other =>
+            (build.languages.get(other.code).sections[name] ? sectionPagePath(other, name) : null));
+
+        for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+            const pagePosts = section.posts.slice((pageNumber - 1) * postsPerPage, pageNumber * postsPerPage);
+            const pageHash = hashContent(templateKey, language.code, sectionInfo, pagePosts, pageNumber, totalPages, translations);
+
+            addToSitemap(build, sectionPagePath(language, name, pageNumber), latestPostDate(pagePosts));
+            await writeOutput(build, sectionPagePath(language, name, pageNumber), pageHash,
+                () => generateSectionPage(language, sectionInfo, pagePosts, pageNumber, totalPages, layouts, translations));
+        }
+    }
+}
 
-    for (const tagType in tagData) {
-        for (const tagValue in tagData[tagType]) {
-            const posts = tagData[tagType][tagValue];
-            const totalPages = Math.ceil(posts.length / config.pagination.postsPerPage);
+// Function to generate the terms page of every taxonomy (tags/director/) and the paginated
+// pages of each term in a language, skipping pages whose posts and templates are unchanged
+// Layouts: layouts/<taxonomy>/terms.html or layouts/terms.html, and term.html likewise
+async function generateTaxonomyPages(content, build) {
+    const postsPerPage = config.pagination.postsPerPage;
+    const { language, tagData } = content;
+    const site = languageSites[language.code];
+
+    for (const baseTaxonomy of taxonomies) {
+        const terms = site.tags[baseTaxonomy.name];
+        if (terms.length === 0) continue;
+
+        const taxonomy = languageTaxonomy(baseTaxonomy, language);
+        const info = taxonomyInfo(config, taxonomy);
+        const layouts = {
+            terms: await resolveLayout(taxonomy.name, 'terms'),
+            term: await resolveLayout(taxonomy.name, 'term')
+        };
+        const termPosts = slug => tagData[taxonomy.name][slug].posts;
+        const otherTerms = other => build.languages.get(other.code).tagData[taxonomy.name] || {};
+
+        const termsContext = {
+            taxonomy: info,
+            url: info.url,
+            terms,
+            translations: listTranslations(language, other =>
+                (Object.keys(otherTerms(other)).length > 0 ? termsPagePath(languageTaxonomy(baseTaxonomy, other)) : null))
+        };
+        const termsPath = termsPagePath(taxonomy);
+        const termsHash = hashContent(await getTemplateKey(build, [layouts.terms, 'base']), language.code, termsContext);
+        addToSitemap(build, termsPath, latestPostDate(terms.flatMap(term => termPosts(term.slug))));
+        await writeOutput(build, termsPath, termsHash, () => renderLayoutWithBase(language, layouts.terms, termsContext, info.plural));
+
+        const termTemplateKey = await getTemplateKey(build, [layouts.term, 'base']);
+        for (const term of terms) {
+            const posts = termPosts(term.slug);
+            const totalPages = Math.ceil(posts.length / postsPerPage);
+            const translations = listTranslations(language, other =>
+                (otherTerms(other)[term.slug] ? termPagePath(languageTaxonomy(baseTaxonomy, other), term.slug) : null));
 
-            // Use the sanitized tag value for directory and file names
-            const sanitizedTagValue = sanitizeTagValue(tagValue);
             for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
-                const pagePosts = posts.slice((pageNumber - 1) * config.pagination.postsPerPage, pageNumber * config.pagination.postsPerPage);
-                
-                // Correctly generate prevPage and nextPage URLs
-                const prevPage = pageNumber > 1 ? `/tags/${tagType}/${sanitizedTagValue}/page-${pageNumber - 1}.html` : null;
-                const nextPage = pageNumber < totalPages ? `/tags/${tagType}/${sanitizedTagValue}/page-${pageNumber + 1}.html` : null;
-
-                // Ensure the first page is named 'index.html'
-                const pageFileName = pageNumber === 1 ? 'index.html' : `page-${pageNumber}.html`;
-
-                const renderedContent = await renderTemplate(tagTemplate, {
-                    tagType: tagType,
-                    tagValue: tagValue, // Keep the original tagValue for display in the template
+                const pagePosts = posts.slice((pageNumber - 1) * postsPerPage, pageNumber * postsPerPage);
+
+                const termContext = {
+                    taxonomy: info,
+                    url: termPageURL(config, taxonomy, term.slug, pageNumber),
+                    term,
                     posts: pagePosts,
-                    prevPage: prevPage, // Pass the corrected URLs
-                    nextPage: nextPage  // Pass the corrected URLs
-                });
+                    prevPage: pageNumber > 1 ? termPageURL(config, taxonomy, term.slug, pageNumber - 1) : null,
+                    nextPage: pageNumber < totalPages ? termPageURL(config, taxonomy, term.slug, pageNumber + 1) : null,
+                    feeds: tagFeedsEnabled() ? config.feeds.formats.map(format => ({
+                        format,
+                        url: relURL(config, termFeedPath(taxonomy, term.slug, format))
+                    })) : [],
+                    translations
+                };
+
+                const relativePath = termPagePath(taxonomy, term.slug, pageNumber);
+                addToSitemap(build, relativePath, latestPostDate(pagePosts));
+                await writeOutput(build, relativePath, hashContent(termTemplateKey, language.code, termContext),
+                    () => renderLayoutWithBase(language, layouts.term, termContext, `${info.singular}: ${term.name}`));
+            }
+        }
+    }
+}
 
-                // Use sanitizedTagValue for the directory                
-             const tagPageDir = path.join(outputDir, 'tags', sanitizeTagValue(tagType), sanitizeTagValue(tagValue).toLowerCase()); // Lowercase tag values
-                await fs.ensureDir(tagPageDir);
+// Function to render a layout into base.html in a language
+async function renderLayoutWithBase(language, layoutName, context, title) {
+    const site = languageSites[language.code];
+    return await renderPage(layoutName, { ...context, site }, { title, url: context.url, translations: context.translations || [], site });
+}
 
-                // Construct the output file path using pageFileName
-const outputFilePath = path.join(tagPageDir, pageFileName);
-                await fs.writeFile(outputFilePath, await renderWithBase(renderedContent, { title: `Tag: ${tagValue}` }));
+// Function to record a generated HTML page for the sitemap
+function addToSitemap(build, relativePath, lastmod) {
+    build.sitemap.push({ path: relativePath, lastmod: lastmod || null });
+}
+
+// Function to find the newest date among a list of posts
+function latestPostDate(posts) {
+    return posts.reduce((latest, post) => (post.date && (!latest || post.date > latest) ? post.date : latest), null);
+}
+
+// Function to find the newest lastmod of the pages recorded for the sitemap (null when there are none)
+function latestLastmod(build) {
+    const times = build.sitemap.map(entry => new Date(entry.lastmod).getTime()).filter(time => !isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+// Function to check whether per-tag feeds are generated
+function tagFeedsEnabled() {
+    return config.feeds.enabled && config.feeds.tags;
+}
+
+// Function to get the output path of a term's feed, e.g. tags/director/x/atom.xml
+function termFeedPath(taxonomy, slug, format) {
+    return termPagePath(taxonomy, slug).replace(/index\.html$/, `${format}.xml`);
+}
+
+// Function to render the full HTML of a post for feeds that include content (cached per build)
+async function loadPostHTML(build, source) {
+    if (!build.parsed.has(source.file)) {
+        build.parsed.set(source.file, await renderer.parsePageContent(source.input));
+    }
+    return build.parsed.get(source.file).htmlContent;
+}
+
+// Function to write one feed in every configured format
+// posts must be the full list for the feed; the newest config.feeds.limit are included
+async function writeFeed(build, feed, posts, postSources) {
+    const fullContent = config.feeds.content === 'full';
+    const items = posts
+        .filter(post => post.date)
+        .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+        .concat(posts.filter(post => !post.date))
+        .slice(0, config.feeds.limit);
+
+    // Feeds without dated items are dated by their sources' last change, not the build time
+    const modified = new Map();
+    for (const post of items) modified.set(post, await postSources.get(post).source.modified());
+    const updated = items.length === 0 ? latestLastmod(build) : null;
+
+    // The hash covers each item's source so edited posts refresh the feed
+    const itemKeys = items.map(post => [post.url, post.title, postSources.get(post).page.hash, postSources.get(post).page.images, modified.get(post)]);
+
+    for (const format of config.feeds.formats) {
+        const relativePath = feed.path(format);
+        const feedHash = hashContent(format, feed.title, feed.link, feed.language, siteContext, config.feeds, build.markdownKey, itemKeys, updated);
+
+        await writeOutput(build, relativePath, feedHash, async () => {
+            const feedItems = [];
+            for (const post of items) {
+                const { source, page } = postSources.get(post);
+                feedItems.push({
+                    title: post.title,
+                    url: absURL(config, post.url),
+                    date: post.date,
+                    updated: page.lastmod,
+                    modified: modified.get(post),
+                    summary: page.summary,
+                    content: fullContent ? await loadPostHTML(build, source) : null
+                });
             }
+
+            const render = format === 'rss' ? renderRss : renderAtom;
+            return render({
+                title: feed.title,
+                description: feed.description,
+                link: absURL(config, feed.link),
+                feedURL: absURL(config, relativePath),
+                language: feed.language,
+                updated,
+                items: feedItems
+            });
+        });
+    }
+}
+
+// Function to generate the site-wide feeds of a language and one feed per tag page
+async function generateFeeds(build, content, postSources) {
+    if (!config.feeds.enabled) return;
+    const { language, posts, tagData } = content;
+
+    await writeFeed(build, {
+        title: language.title,
+        description: language.description,
+        language: language.code,
+        link: language.prefix,
+        path: format => `${language.prefix}${format}.xml`
+    }, posts, postSources);
+
+    if (!config.feeds.tags) return;
+
+    for (const baseTaxonomy of taxonomies) {
+        const taxonomy = languageTaxonomy(baseTaxonomy, language);
+        const terms = tagData[taxonomy.name] || {};
+        for (const slug in terms) {
+            await writeFeed(build, {
+                title: `${language.title}: ${taxonomy.singular} ${terms[slug].name}`,
+                language: language.code,
+                link: termPageURL(config, taxonomy, slug),
+                path: format => termFeedPath(taxonomy, slug, format)
+            }, terms[slug].posts, postSources);
         }
     }
 }
 
-// Main SSG execution
+// Function to write sitemap.xml (or a sitemap index with numbered sitemaps for large sites)
+async function generateSitemap(build) {
+    if (!config.sitemap.enabled) return;
+
+    const entries = build.sitemap.map(entry => ({
+        url: absURL(config, entry.path.replace(/(^|\/)index\.html$/, '$1')),
+        lastmod: entry.lastmod
+    }));
+    const chunks = chunkSitemapEntries(entries);
+
+    if (chunks.length === 1) {
+        await writeOutput(build, 'sitemap.xml', hashContent(entries), () => renderSitemap(entries));
+        return;
+    }
+
+    const sitemapURLs = [];
+    for (let i = 0; i < chunks.length; i++) {
+        const relativePath = `sitemap-${i + 1}.xml`;
+        sitemapURLs.push(absURL(config, relativePath));
+        await writeOutput(build, relativePath, hashContent(chunks[i]), () => renderSitemap(chunks[i]));
+    }
+    await writeOutput(build, 'sitemap.xml', hashContent(sitemapURLs), () => renderSitemapIndex(sitemapURLs));
+}
+
+// Function to write the search index (a manifest plus shards of config.search.shardSize pages) and its script
+async function generateSearchIndex(build, documents) {
+    if (!config.search.enabled) return;
+
+    const { manifest, shards } = searchIndex.buildSearchIndex(documents, config.search,
+        number => relURL(config, `${searchDir}/shard-${number}.json`));
+
+    for (let i = 0; i < shards.length; i++) {
+        const shardJSON = JSON.stringify(shards[i]);
+        await writeOutput(build, `${searchDir}/shard-${i + 1}.json`, hashContent(shardJSON), () => shardJSON);
+    }
+    const manifestJSON = JSON.stringify(manifest);
+    await writeOutput(build, `${searchDir}/index.json`, hashContent(manifestJSON), () => manifestJSON);
+    await writeOutput(build, `${searchDir}/search.js`, hashContent(searchIndex.CLIENT_SCRIPT), () => searchIndex.CLIENT_SCRIPT);
+}
+
+// Function to drop cached layouts, partials and parsed templates so edits are picked up
+function clearTemplateCaches() {
+    Object.keys(layoutCache).forEach(name => delete layoutCache[name]);
+    Object.keys(partialCache).forEach(name => delete partialCache[name]);
+    Object.keys(shortcodeCache).forEach(name => delete shortcodeCache[name]);
+    Object.keys(layoutResolutionCache).forEach(name => delete layoutResolutionCache[name]);
+    templateEngine.clearCache();
+}
+
+// Main SSG execution; returns the problems found (see checks.js)
 async function runSSG() {
     console.log('--- Starting Static Site Generation ---');
     await preloadTemplates();
-    const tagTypes = await extractTagTypesFromLayouts(); // Extract tag types first
-    await processContent(tagTypes); // Pass tagTypes to processContent
+    siteContext.data = await loadSiteData(config.data.dir); // Global data files, exposed as site.data
+    siteContext.i18n = await loadTranslations(config.i18n.dir, languages); // Strings for the i18n helper
+    return await processContent();
 }
 
-console.time('runSSG Execution'); // Start timer
-runSSG().then(() => {
-    console.timeEnd('runSSG Execution'); // End timer and log the duration
-}).catch(error => {
-    console.error('Error during static site generation:', error);
-});
+// Build every page, then check the links of the output and report every problem found;
+// errors (and with --strict, warnings) set a non-zero exit code for CI
+async function check() {
+    const issues = await runSSG();
+    issues.push(...await checkLinks(outputDir, config, { ignore: config.check.ignoreLinks }));
+    const { errors, warnings } = printReport(issues);
+    if (errors > 0 || (strict && warnings > 0)) process.exitCode = 1;
+}
+
+// Build once, then serve the output with live reload and rebuild on changes
+async function serve() {
+    await runSSG();
+    await startDevServer({
+        outputDir,
+        port: Number(getFlagValue('port', 1313)),
+        basePath: config.basePath, // Links are generated with this prefix; the server strips it
+        watchDirs: [contentDir, layoutsDir, partialsDir, shortcodesDir, config.mappings.dir, config.data.dir, config.static.dir, config.assets.dir, config.i18n.dir],
+        rebuild: async () => {
+            clearTemplateCaches();
+            console.time('Rebuild');
+            await runSSG();
+            console.timeEnd('Rebuild');
+        }
+    });
+}
+
+if (command === 'serve') {
+    serve().catch(error => {
+        console.error('Error starting dev server:', error);
+        process.exitCode = 1;
+    });
+} else if (command === 'check') {
+    check().catch(error => {
+        console.error('Error during check:', error);
+        process.exitCode = 1;
+    });
+} else {
+    console.time('runSSG Execution'); // Start timer
+    runSSG().then(() => {
+        console.timeEnd('runSSG Execution'); // End timer and log the duration
+    }).catch(error => {
+        console.error('Error during static site generation:', error);
+    });
+}
@@ -0,0 +1,110 @@
+const { relURL } = require('./siteConfig');
+
+// Taxonomies group posts by the values (terms) of a front matter field. Each one is
+// declared in config.taxonomies, keyed by the name used in templates and layouts:
+//
+//   director: { field: 'director', singular: 'director', plural: 'directors',
+//               url: 'tags/:taxonomy/:slug/', sort: 'name' }
+//
+// Every term gets a paginated page at `url` and every taxonomy a terms page at the
+// directory above it (tags/director/) listing its terms with their post counts.
+
+// URL pattern of term pages when a taxonomy does not set one
+const DEFAULT_URL = 'tags/:taxonomy/:slug/';
+
+// Orders of the terms page: by name, or by post count (most posts first)
+const SORT_ORDERS = ['name', 'count'];
+
+// Function to turn config.taxonomies into a list of taxonomy settings; `false` disables one
+function loadTaxonomies(taxonomyConfig = {}) {
+  const taxonomies = [];
+
+  for (const name in taxonomyConfig) {
+    const options = taxonomyConfig[name];
+    if (options === false) continue;
+
+    // Names are used in URLs, layout paths and {{ site.tags.<name> }}
+    if (!/^\w+$/.test(name)) {
+      console.warn(`Taxonomy "${name}" skipped: names may only contain letters, digits and underscores`);
+      continue;
+    }
+
+    const settings = options && typeof options === 'object' ? options : {};
+    taxonomies.push({
+      name,
+      field: settings.field || name,
+      singular: settings.singular || name,
+      plural: settings.plural || name,
+      url: parseURLPattern(name, settings.url),
+      sort: parseSortOrder(name, settings.sort)
+    });
+  }
+
+  return taxonomies;
+}
+
+// Function to expand a term URL pattern; it must end with ':slug/' below at least one directory
+function parseURLPattern(name, pattern) {
+  const url = String(pattern || DEFAULT_URL).replace(/:taxonomy/g, name).replace(/^\/+/, '');
+  if (/^([^:]+\/):slug\/$/.test(url)) return url;
+
+  console.warn(`Taxonomy "${name}": url "${pattern}" must look like "dir/:slug/", using "${DEFAULT_URL}"`);
+  return DEFAULT_URL.replace(/:taxonomy/g, name);
+}
+
+// Function to check the order of a terms page, falling back to 'name'
+function parseSortOrder(name, sort) {
+  if (sort === undefined || SORT_ORDERS.includes(sort)) return sort || 'name';
+
+  console.warn(`Taxonomy "${name}": unknown sort "${sort}" (use ${SORT_ORDERS.join(' or ')}), sorting by name`);
+  return 'name';
+}
+
+// Function to get the raw terms of a taxonomy in a page's front matter (a value or a list)
+function pageTerms(data, taxonomy) {
+  const value = data[taxonomy.field];
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(term => term !== undefined && term !== null && term !== '');
+}
+
+// Function to get the output path of a term page, relative to the output directory
+function termPagePath(taxonomy, slug, pageNumber = 1) {
+  const pageFileName = pageNumber === 1 ? 'index.html' : `page-${pageNumber}.html`;
+  return `${taxonomy.url.replace(':slug', slug)}${pageFileName}`;
+}
+
+// Function to get the output path of a taxonomy's terms page
+function termsPagePath(taxonomy) {
+  return `${taxonomy.url.slice(0, -':slug/'.length)}index.html`;
+}
+
+// Function to get the URL of a term page; the first page links to its directory
+function termPageURL(config, taxonomy, slug, pageNumber = 1) {
+  return relURL(config, termPagePath(taxonomy, slug, pageNumber).replace(/index\.html$/, ''));
+}
+
+// Function to describe a taxonomy to templates (site.taxonomies, terms and term pages)
+function taxonomyInfo(config, taxonomy) {
+  return {
+    name: taxonomy.name,
+    singular: taxonomy.singular,
+    plural: taxonomy.plural,
+    url: relURL(config, termsPagePath(taxonomy).replace(/index\.html$/, ''))
+  };
+}
+
+// Function to sort terms ({ name, count }) in the taxonomy's order
+function sortTerms(terms, taxonomy) {
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true });
+  return terms.sort(taxonomy.sort === 'count' ? (a, b) => b.count - a.count || byName(a, b) : byName);
+}
+
+module.exports = {
+  loadTaxonomies,
+  pageTerms,
+  termPagePath,
+  termsPagePath,
+  termPageURL,
+  taxonomyInfo,
+  sortTerms,
+};
@@ -0,0 +1,765 @@
+// Template engine used by ssg.js
+//
+// Syntax:
+//   {{ expr }}                      output a value, HTML-escaped
+//   {{{ expr }}}                    output a value as-is (trusted HTML such as rendered markdown)
+//   {{! comment }}                  ignored
+//   {{> partialName }}              include a partial with the current scope
+//   {{#if expr}} ... {{else if expr}} ... {{else}} ... {{/if}}
+//   {{#unless expr}} ... {{else}} ... {{/unless}}
+//   {{#each expr}} ... {{else}} ... {{/each}}   (@index, @first, @last, @key, this)
+//   {{#with expr}} ... {{/with}}
+//
+// An expression is a dotted path (page.title, this, ../title, @index, @root.title),
+// a string/number/boolean literal, or a helper call (`sanitize director`),
+// optionally followed by filters: `page.date | date: "%B %d, %Y" | upcase`.
+// The `raw` filter (`{{ content | raw }}`) skips escaping like the triple-stash.
+//
+// Each template is parsed once into a tree and compiled into plain functions that are
+// reused for every page; rendering only walks the data. Partials are loaded before
+// rendering starts, so the compiled functions never wait on I/O.
+
+const { createSlugger } = require('./slugger');
+
+const helpers = {};
+const filters = {};
+const parseCache = new Map();
+
+const BLOCK_NAMES = ['if', 'unless', 'each', 'with'];
+
+// Wrapper for strings that must not be escaped on output
+class SafeString {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+class TemplateError extends Error {
+  constructor(message, templateName, line) {
+    super(`${templateName}:${line}: ${message}`);
+    this.name = 'TemplateError';
+    this.templateName = templateName;
+    this.line = line;
+  }
+}
+
+// Function to register a helper, called as `{{ name arg1 arg2 }}`
+function registerHelper(name, fn) {
+  helpers[name] = fn;
+}
+
+// Function to register a filter, called as `{{ value | name: arg1, arg2 }}`
+function registerFilter(name, fn) {
+  filters[name] = fn;
+}
+
+// Function to count newlines up to an offset (1-based line numbers)
+function lineAt(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (source.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+// Function to split a template into text and tag tokens
+function tokenize(source, name) {
+  const tokens = [];
+  let position = 0;
+  let line = 1;
+
+  while (position < source.length) {
+    const open = source.indexOf('{{', position);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(position), line });
+      break;
+    }
+
+    if (open > position) {
+      const text = source.slice(position, open);
+      tokens.push({ type: 'text', value: text, line });
+      line += lineAt(text, text.length) - 1;
+    }
+
+    const tripleStash = source.startsWith('{{{', open);
+    const closer = tripleStash ? '}}}' : '}}';
+    const close = source.indexOf(closer, open + closer.length);
+    if (close === -1) {
+      throw new TemplateError(`Unclosed "${tripleStash ? '{{{' : '{{'}" tag`, name, line);
+    }
+
+    const raw = source.slice(open + closer.length, close);
+    const inner = raw.trim();
+    const tagLine = line;
+    line += lineAt(raw, raw.length) - 1;
+    position = close + closer.length;
+
+    if (tripleStash) {
+      if (inner === '') {
+        throw new TemplateError('Empty "{{{ }}}" tag', name, tagLine);
+      }
+      tokens.push({ type: 'output', expression: inner, raw: true, line: tagLine });
+    } else if (inner.startsWith('!')) {
+      continue;
+    } else if (inner.startsWith('>')) {
+      const partialName = inner.slice(1).trim();
+      if (!/^[\w./-]+$/.test(partialName)) {
+        throw new TemplateError(`Invalid partial name "${partialName}"`, name, tagLine);
+      }
+      tokens.push({ type: 'partial', name: partialName, line: tagLine });
+    } else if (inner.startsWith('#')) {
+      const match = /^#\s*(\w+)\s*([\s\S]*)$/.exec(inner);
+      if (!match) {
+        throw new TemplateError(`Invalid block tag "{{${inner}}}"`, name, tagLine);
+      }
+      tokens.push({ type: 'open', name: match[1], expression: match[2].trim(), line: tagLine });
+    } else if (inner.startsWith('/')) {
+      tokens.push({ type: 'close', name: inner.slice(1).trim(), line: tagLine });
+    } else if (inner === 'else' || /^else\s+if\s/.test(inner)) {
+      const condition = inner === 'else' ? null : inner.replace(/^else\s+if\s+/, '');
+      tokens.push({ type: 'else', expression: condition, line: tagLine });
+    } else {
+      if (inner === '') {
+        throw new TemplateError('Empty "{{ }}" tag', name, tagLine);
+      }
+      tokens.push({ type: 'output', expression: inner, line: tagLine });
+    }
+  }
+
+  return tokens;
+}
+
+// Function to strip the quotes of a string literal and resolve backslash escapes
+function unescapeString(literal) {
+  const escapes = { n: '\n', t: '\t' };
+  return literal.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] || char);
+}
+
+// Function to split an expression into terms, literals and punctuation
+function lexExpression(expression, name, line) {
+  const terms = [];
+  const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)(?![\w.])|([|:,])|((?:\.\.\/)*[@\w][\w-]*(?:\.[\w-]+)*|\.\.|\.))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new TemplateError(`Cannot parse expression "${expression}" near "${expression.slice(position).trim()}"`, name, line);
+    }
+    position = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      terms.push({ type: 'literal', value: unescapeString(match[1]) });
+    } else if (match[2] !== undefined) {
+      terms.push({ type: 'literal', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      terms.push({ type: 'punct', value: match[3] });
+    } else {
+      const word = match[4];
+      if (word === 'true' || word === 'false') {
+        terms.push({ type: 'literal', value: word === 'true' });
+      } else if (word === 'null') {
+        terms.push({ type: 'literal', value: null });
+      } else {
+        terms.push({ type: 'path', value: word });
+      }
+    }
+  }
+
+  return terms;
+}
+
+// Function to turn a path string into a lookup description
+function parsePathTerm(value) {
+  let depth = 0;
+  let rest = value;
+  while (rest.startsWith('../')) {
+    depth++;
+    rest = rest.slice(3);
+  }
+  if (rest === '..') {
+    return { depth: depth + 1, parts: ['this'] };
+  }
+  if (rest === '.') {
+    return { depth, parts: ['this'] };
+  }
+  return { depth, parts: rest.split('.') };
+}
+
+// Function to parse an expression into { value } or { helper, args }, plus its filters
+function parseExpression(expression, name, line) {
+  const terms = lexExpression(expression, name, line);
+  if (terms.length === 0) {
+    throw new TemplateError('Empty expression', name, line);
+  }
+
+  const toArg = (term) => {
+    if (term.type === 'literal') return { type: 'literal', value: term.value };
+    if (term.type === 'path') return { type: 'path', ...parsePathTerm(term.value), source: term.value };
+    throw new TemplateError(`Unexpected "${term.value}" in "${expression}"`, name, line);
+  };
+
+  // Head and helper arguments, up to the first pipe
+  let index = 0;
+  const main = [];
+  while (index < terms.length && !(terms[index].type === 'punct' && terms[index].value === '|')) {
+    main.push(toArg(terms[index]));
+    index++;
+  }
+  if (main.length === 0) {
+    throw new TemplateError(`Missing value before "|" in "${expression}"`, name, line);
+  }
+
+  const node = { expression, line };
+  if (main.length > 1) {
+    if (main[0].type !== 'path' || main[0].depth > 0 || main[0].parts.length > 1) {
+      throw new TemplateError(`Expected a helper name in "${expression}"`, name, line);
+    }
+    node.helper = main[0].parts[0];
+    node.args = main.slice(1);
+  } else {
+    node.value = main[0];
+  }
+
+  // Filters: | name: arg, arg
+  node.filters = [];
+  while (index < terms.length) {
+    index++; // skip "|"
+    const filterTerm = terms[index];
+    if (!filterTerm || filterTerm.type !== 'path') {
+      throw new TemplateError(`Expected a filter name after "|" in "${expression}"`, name, line);
+    }
+    const filter = { name: filterTerm.value, args: [] };
+    index++;
+
+    if (index < terms.length && terms[index].type === 'punct' && terms[index].value === ':') {
+      index++;
+      for (;;) {
+        const argTerm = terms[index];
+        if (!argTerm || argTerm.type === 'punct') {
+          throw new TemplateError(`Expected an argument for filter "${filter.name}" in "${expression}"`, name, line);
+        }
+        filter.args.push(toArg(argTerm));
+        index++;
+        if (index < terms.length && terms[index].type === 'punct' && terms[index].value === ',') {
+          index++;
+          continue;
+        }
+        break;
+      }
+    }
+
+    if (index < terms.length && !(terms[index].type === 'punct' && terms[index].value === '|')) {
+      throw new TemplateError(`Unexpected "${terms[index].value}" after filter "${filter.name}" in "${expression}"`, name, line);
+    }
+    node.filters.push(filter);
+  }
+
+  return node;
+}
+
+// Function to build a nested node tree from the flat token list
+function buildTree(tokens, name) {
+  const root = { type: 'root', children: [] };
+  const stack = [];
+  let current = root.children;
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+        current.push({ type: 'text', value: token.value });
+        break;
+      case 'output':
+        current.push({ type: 'output', expr: parseExpression(token.expression, name, token.line), raw: Boolean(token.raw), line: token.line });
+        break;
+      case 'partial':
+        current.push({ type: 'partial', name: token.name, line: token.line });
+        break;
+      case 'open': {
+        if (!BLOCK_NAMES.includes(token.name)) {
+          throw new TemplateError(`Unknown block "{{#${token.name}}}"`, name, token.line);
+        }
+        if (!token.expression) {
+          throw new TemplateError(`Missing expression for "{{#${token.name}}}"`, name, token.line);
+        }
+        const block = {
+          type: 'block',
+          name: token.name,
+          expr: parseExpression(token.expression, name, token.line),
+          children: [],
+          inverse: null,
+          line: token.line
+        };
+        current.push(block);
+        stack.push({ block, chained: [] });
+        current = block.children;
+        break;
+      }
+      case 'else': {
+        const frame = stack[stack.length - 1];
+        if (!frame) {
+          throw new TemplateError('"{{else}}" outside of a block', name, token.line);
+        }
+        const target = frame.chained.length > 0 ? frame.chained[frame.chained.length - 1] : frame.block;
+        if (target.inverse) {
+          throw new TemplateError(`Duplicate "{{else}}" in "{{#${frame.block.name}}}"`, name, token.line);
+        }
+        if (token.expression !== null) {
+          if (frame.block.name !== 'if' && frame.block.name !== 'unless') {
+            throw new TemplateError(`"{{else if}}" is not allowed in "{{#${frame.block.name}}}"`, name, token.line);
+          }
+          // {{else if x}} becomes an {{#if x}} nested in the else branch
+          const chainedBlock = {
+            type: 'block',
+            name: 'if',
+            expr: parseExpression(token.expression, name, token.line),
+            children: [],
+            inverse: null,
+            line: token.line
+          };
+          target.inverse = [chainedBlock];
+          frame.chained.push(chainedBlock);
+          current = chainedBlock.children;
+        } else {
+          target.inverse = [];
+          current = target.inverse;
+        }
+        break;
+      }
+      case 'close': {
+        const frame = stack.pop();
+        if (!frame) {
+          throw new TemplateError(`Unexpected "{{/${token.name}}}"`, name, token.line);
+        }
+        if (frame.block.name !== token.name) {
+          throw new TemplateError(`Expected "{{/${frame.block.name}}}" (opened on line ${frame.block.line}) but found "{{/${token.name}}}"`, name, token.line);
+        }
+        const parent = stack[stack.length - 1];
+        if (!parent) {
+          current = root.children;
+        } else {
+          const target = parent.chained.length > 0 ? parent.chained[parent.chained.length - 1] : parent.block;
+          current = target.inverse || target.children;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1].block;
+    throw new TemplateError(`Unclosed "{{#${open.name}}}"`, name, open.line);
+  }
+
+  return root;
+}
+
+// Function to parse a template into a tree, cached by name and source
+// The tree's compiled render function is added on first use (see getRenderer)
+function compile(source, name = 'template') {
+  const key = `${name}\u0000${source}`;
+  let tree = parseCache.get(key);
+  if (!tree) {
+    tree = buildTree(tokenize(source, name), name);
+    parseCache.set(key, tree);
+  }
+  return tree;
+}
+
+// Function to list the partials a parsed template includes directly
+function partialNames(tree) {
+  const names = new Set();
+  const visit = (nodes) => {
+    (nodes || []).forEach(node => {
+      if (node.type === 'partial') names.add(node.name);
+      if (node.type === 'block') {
+        visit(node.children);
+        visit(node.inverse);
+      }
+    });
+  };
+  visit(tree.children);
+  return Array.from(names);
+}
+
+// Function to list the partials a template includes directly
+function listPartials(source, name = 'template') {
+  return partialNames(compile(source, name));
+}
+
+// Function to drop cached parse trees (e.g. after templates change on disk)
+function clearCache() {
+  parseCache.clear();
+}
+
+// Function to check truthiness; empty arrays are falsy like in Handlebars
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+// Function to read a property path from a value
+function walk(value, parts) {
+  let current = value;
+  for (const part of parts) {
+    if (current === undefined || current === null) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+// Function to resolve a path against the scope chain
+function lookup(scopes, pathArg) {
+  const { depth, parts } = pathArg;
+  const index = scopes.length - 1 - depth;
+  if (index < 0) return undefined;
+
+  const [first, ...rest] = parts;
+
+  if (first === 'this') {
+    return walk(scopes[index].data, rest);
+  }
+
+  if (first === '@root') {
+    return walk(scopes[0].data, rest);
+  }
+
+  if (first.startsWith('@')) {
+    for (let i = index; i >= 0; i--) {
+      if (scopes[i].locals && first in scopes[i].locals) {
+        return walk(scopes[i].locals[first], rest);
+      }
+    }
+    return undefined;
+  }
+
+  // Search from the innermost scope outwards for the first segment
+  for (let i = index; i >= 0; i--) {
+    const data = scopes[i].data;
+    if (data !== null && typeof data === 'object' && first in data) {
+      return walk(data[first], rest);
+    }
+  }
+  return undefined;
+}
+
+// Function to compile an argument (path or literal) into a function of the scope chain
+function compileArg(arg) {
+  if (arg.type === 'literal') {
+    const value = arg.value;
+    return () => value;
+  }
+  return scopes => lookup(scopes, arg);
+}
+
+// Function to compile a full expression, including helper calls and filters,
+// into a function (scopes, state) -> value
+function compileExpression(expr) {
+  const value = expr.helper ? null : compileArg(expr.value);
+  const args = expr.helper ? expr.args.map(compileArg) : [];
+  const filterCalls = expr.filters.map(filter => ({ name: filter.name, args: filter.args.map(compileArg) }));
+
+  return (scopes, state) => {
+    let result;
+
+    if (expr.helper) {
+      // Helpers and filters are looked up when rendering, so they may be registered after compiling
+      const helper = helpers[expr.helper];
+      if (!helper) {
+        throw new TemplateError(`Unknown helper "${expr.helper}"`, state.name, expr.line);
+      }
+      result = helper(...args.map(arg => arg(scopes)), { root: scopes[0].data, scope: scopes[scopes.length - 1].data });
+    } else {
+      result = value(scopes);
+    }
+
+    for (const filter of filterCalls) {
+      const fn = filters[filter.name];
+      if (!fn) {
+        throw new TemplateError(`Unknown filter "${filter.name}"`, state.name, expr.line);
+      }
+      try {
+        result = fn(result, ...filter.args.map(arg => arg(scopes)));
+      } catch (error) {
+        throw new TemplateError(`Filter "${filter.name}" failed: ${error.message}`, state.name, expr.line);
+      }
+    }
+
+    return result;
+  };
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+// Function to escape a string for HTML text and quoted or unquoted attribute values
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+}
+
+// Function to convert an output value to a string, escaping it unless it is raw
+function stringify(value, raw = false) {
+  if (value === undefined || value === null || value === false) return '';
+  if (value instanceof SafeString) return value.value;
+  if (Array.isArray(value)) return value.map(item => stringify(item, raw)).join(', ');
+  return raw ? String(value) : escapeHtml(value);
+}
+
+// Function to compile a list of nodes into one function (scopes, state) -> string
+function compileNodes(nodes) {
+  const parts = nodes.map(compileNode);
+  if (parts.length === 0) return () => '';
+  if (parts.length === 1) return parts[0];
+
+  return (scopes, state) => {
+    let output = '';
+    for (const part of parts) {
+      output += part(scopes, state);
+    }
+    return output;
+  };
+}
+
+// Function to compile one node
+function compileNode(node) {
+  switch (node.type) {
+    case 'text': {
+      const value = node.value;
+      return () => value;
+    }
+    case 'output': {
+      const expr = compileExpression(node.expr);
+      return (scopes, state) => {
+        const value = expr(scopes, state);
+        // A plain value that resolves to nothing is usually a typo or a field the page lacks
+        if (value === undefined && state.onUndefined && !node.expr.helper) {
+          state.onUndefined(node.expr.expression, state.name, node.line);
+        }
+        return stringify(value, node.raw);
+      };
+    }
+    case 'partial':
+      return (scopes, state) => renderPartial(node, scopes, state);
+    case 'block':
+      return compileBlock(node);
+    default:
+      return () => '';
+  }
+}
+
+// Function to get the compiled render function of a parsed template
+function getRenderer(tree) {
+  if (!tree.render) tree.render = compileNodes(tree.children);
+  return tree.render;
+}
+
+// Function to load the source of every partial a template includes, directly or through other partials
+async function loadPartials(tree, state) {
+  for (const name of partialNames(tree)) {
+    if (state.partials.has(name)) continue;
+
+    const source = state.resolvePartial ? await state.resolvePartial(name) : '';
+    state.partials.set(name, source || '');
+    if (source) await loadPartials(compile(source, name), state);
+  }
+}
+
+// Function to render an included partial in the current scope
+function renderPartial(node, scopes, state) {
+  if (state.partialStack.includes(node.name)) {
+    throw new TemplateError(`Recursive partial "${node.name}"`, state.name, node.line);
+  }
+
+  const source = state.partials.get(node.name);
+  if (!source) {
+    if (state.onMissingPartial) state.onMissingPartial(node.name, state.name, node.line);
+    return '';
+  }
+
+  const partialState = { ...state, name: node.name, partialStack: [...state.partialStack, node.name] };
+  return getRenderer(compile(source, node.name))(scopes, partialState);
+}
+
+// Function to compile one block (if/unless/each/with)
+function compileBlock(node) {
+  const value = compileExpression(node.expr);
+  const children = compileNodes(node.children);
+  const inverse = compileNodes(node.inverse || []);
+
+  switch (node.name) {
+    case 'if':
+      return (scopes, state) => (isTruthy(value(scopes, state)) ? children : inverse)(scopes, state);
+    case 'unless':
+      return (scopes, state) => (isTruthy(value(scopes, state)) ? inverse : children)(scopes, state);
+    case 'with':
+      return (scopes, state) => {
+        const data = value(scopes, state);
+        if (!isTruthy(data)) return inverse(scopes, state);
+        return children([...scopes, { data }], state);
+      };
+    case 'each':
+      return (scopes, state) => {
+        const list = value(scopes, state);
+        let entries = [];
+        if (Array.isArray(list)) {
+          entries = list.map((item, index) => [index, item]);
+        } else if (list && typeof list === 'object') {
+          entries = Object.entries(list);
+        }
+        if (entries.length === 0) {
+          return inverse(scopes, state);
+        }
+
+        let output = '';
+        for (let i = 0; i < entries.length; i++) {
+          const [key, item] = entries[i];
+          const locals = {
+            '@index': i,
+            '@key': key,
+            '@first': i === 0,
+            '@last': i === entries.length - 1
+          };
+          output += children([...scopes, { data: item, locals }], state);
+        }
+        return output;
+      };
+    default:
+      return (scopes, state) => {
+        throw new TemplateError(`Unknown block "{{#${node.name}}}"`, state.name, node.line);
+      };
+  }
+}
+
+// Function to render a template source with a context
+// options.name is used in error messages, options.resolvePartial(name) returns partial source,
+// options.onMissingPartial(name, templateName, line) and options.onUndefined(expression, templateName, line)
+// are told about partials that don't exist and `{{ values }}` that resolve to undefined
+async function render(source, context = {}, options = {}) {
+  if (!source) return '';
+  const name = options.name || 'template';
+  const tree = compile(source, name);
+  const state = {
+    name,
+    resolvePartial: options.resolvePartial,
+    onMissingPartial: options.onMissingPartial,
+    onUndefined: options.onUndefined,
+    partials: new Map(),
+    partialStack: []
+  };
+  await loadPartials(tree, state);
+  return getRenderer(tree)([{ data: context }], state);
+}
+
+// Built-in filters
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Function to coerce a value into a Date, or null if it isn't one
+function toDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (value === 'now' || value === 'today') return new Date();
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value === 'string' && value.trim() !== '') {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+  return null;
+}
+
+// Function to format a date with strftime-style directives (UTC, since front matter dates are UTC)
+function formatDate(date, format = '%Y-%m-%d') {
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+  const hours12 = date.getUTCHours() % 12 || 12;
+  const directives = {
+    Y: () => date.getUTCFullYear(),
+    y: () => pad(date.getUTCFullYear() % 100),
+    m: () => pad(date.getUTCMonth() + 1),
+    d: () => pad(date.getUTCDate()),
+    e: () => date.getUTCDate(),
+    B: () => MONTH_NAMES[date.getUTCMonth()],
+    b: () => MONTH_NAMES[date.getUTCMonth()].slice(0, 3),
+    A: () => DAY_NAMES[date.getUTCDay()],
+    a: () => DAY_NAMES[date.getUTCDay()].slice(0, 3),
+    H: () => pad(date.getUTCHours()),
+    I: () => pad(hours12),
+    M: () => pad(date.getUTCMinutes()),
+    S: () => pad(date.getUTCSeconds()),
+    p: () => (date.getUTCHours() < 12 ? 'AM' : 'PM'),
+    F: () => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`,
+    s: () => Math.floor(date.getTime() / 1000),
+    '%': () => '%'
+  };
+  return format.replace(/%([a-zA-Z%])/g, (match, directive) => (directives[directive] ? String(directives[directive]()) : match));
+}
+
+// Function to turn HTML into plain text with collapsed whitespace
+function stripHtml(html) {
+  return String(html === undefined || html === null ? '' : html)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+registerFilter('date', (value, format) => {
+  const date = toDate(value);
+  return date ? formatDate(date, format) : value;
+});
+registerFilter('upcase', value => (value === undefined || value === null ? value : String(value).toUpperCase()));
+registerFilter('downcase', value => (value === undefined || value === null ? value : String(value).toLowerCase()));
+registerFilter('truncate', (value, length = 50, ellipsis = '...') => {
+  if (value === undefined || value === null) return value;
+  const text = String(value);
+  return text.length > length ? text.slice(0, Math.max(0, length - ellipsis.length)) + ellipsis : text;
+});
+registerFilter('join', (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value));
+registerFilter('default', (value, fallback = '') => (isTruthy(value) ? value : fallback));
+// Default slug settings; pageRenderer.js registers the filter again with config.slug
+const slugify = createSlugger();
+registerFilter('slugify', value => (value === undefined || value === null ? value : slugify(String(value))));
+registerFilter('raw', value => (value === undefined || value === null || value instanceof SafeString ? value : new SafeString(stringify(value, true))));
+registerFilter('escape', value => (value === undefined || value === null ? value : new SafeString(escapeHtml(value instanceof SafeString ? value.value : value))));
+registerFilter('striptags', value => (value === undefined || value === null ? value : stripHtml(value instanceof SafeString ? value.value : value)));
+registerFilter('size', value => {
+  if (Array.isArray(value) || typeof value === 'string') return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return 0;
+});
+
+module.exports = {
+  TemplateError,
+  SafeString,
+  escapeHtml,
+  render,
+  compile,
+  listPartials,
+  clearCache,
+  registerHelper,
+  registerFilter,
+  formatDate,
+  toDate,
+  stripHtml,
+  isTruthy,
+};
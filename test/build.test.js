@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+
+// Function to set up a small site in a temporary directory, with the repo's templates
+async function createSite() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-build-'));
+  for (const name of ['layouts', 'partials', 'shortcodes', 'i18n', 'data', 'assets', 'plugins/charmap.json']) {
+    await fs.copy(path.join(root, name), path.join(dir, name));
+  }
+  await fs.writeFile(path.join(dir, 'site.config.js'), `module.exports = {
+    baseURL: 'https://example.com/',
+    mappings: { dir: 'none' },
+    plugins: { dir: 'none' },
+    render: { workers: 0 },
+    search: { enabled: false }
+  };\n`);
+  await fs.outputFile(path.join(dir, 'content/first.md'), '---\ntitle: First\ndate: 2024-01-01\n---\nOne\n');
+  await fs.outputFile(path.join(dir, 'content/posts/second.md'), '---\ntitle: Second\ndate: 2024-02-01\n---\nTwo\n');
+  return dir;
+}
+
+// Function to build the site and return what it printed (stdout and stderr)
+function run(dir, ...args) {
+  const result = spawnSync(process.execPath, [path.join(root, 'ssg.js'), '--offline', ...args], { cwd: dir, encoding: 'utf-8', timeout: 60000 });
+  return result.stdout + result.stderr;
+}
+
+// Function to build the site and return the counts of its summary line
+function build(dir, ...args) {
+  const output = run(dir, ...args);
+  const match = /Files Rendered: (\d+), Unchanged: (\d+), Deleted: (\d+)/.exec(output);
+  assert.ok(match, output);
+  return { rendered: Number(match[1]), unchanged: Number(match[2]), deleted: Number(match[3]) };
+}
+
+test('the build manifest skips unchanged outputs and invalidates what changed', async () => {
+  const dir = await createSite();
+  try {
+    const first = build(dir);
+    assert.ok(first.rendered > 0);
+    assert.strictEqual(first.unchanged, 0);
+
+    // Nothing changed: every output is reused
+    assert.deepStrictEqual(build(dir), { rendered: 0, unchanged: first.rendered, deleted: 0 });
+
+    // A changed page body renders that page again, not the others
+    await fs.writeFile(path.join(dir, 'content/posts/second.md'), '---\ntitle: Second\ndate: 2024-02-01\n---\nTwo, edited\n');
+    const edited = build(dir);
+    assert.ok(edited.rendered >= 1 && edited.rendered < first.rendered, JSON.stringify(edited));
+    assert.match(await fs.readFile(path.join(dir, 'public/posts/second.html'), 'utf-8'), /Two, edited/);
+
+    // A changed layout renders every page that uses it
+    const single = path.join(dir, 'layouts/single.html');
+    await fs.writeFile(single, `<div class="changed"></div>\n${await fs.readFile(single, 'utf-8')}`);
+    build(dir);
+    assert.match(await fs.readFile(path.join(dir, 'public/first.html'), 'utf-8'), /class="changed"/);
+    assert.match(await fs.readFile(path.join(dir, 'public/posts/second.html'), 'utf-8'), /class="changed"/);
+
+    // A deleted page deletes its output
+    await fs.remove(path.join(dir, 'content/first.md'));
+    assert.ok(build(dir).deleted >= 1);
+    assert.ok(!(await fs.pathExists(path.join(dir, 'public/first.html'))));
+
+    // A deleted output is written again even though the manifest lists it
+    await fs.remove(path.join(dir, 'public/posts/second.html'));
+    assert.strictEqual(build(dir).rendered, 1);
+
+    // --force ignores the manifest
+    assert.strictEqual(build(dir, '--force').unchanged, 0);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a hand-written page that takes the slug of an imported row is reported with both origins', async () => {
+  const dir = await createSite();
+  try {
+    await fs.outputFile(path.join(dir, 'site.config.js'), (await fs.readFile(path.join(dir, 'site.config.js'), 'utf-8')).replace("mappings: { dir: 'none' }", "mappings: { dir: 'mappings' }"));
+    await fs.outputFile(path.join(dir, 'mappings/films.csv'), 'id,title\n9,Zeta Film\n');
+    await fs.outputFile(path.join(dir, 'mappings/films.mapping'), 'data = "films.csv"\nid = .id\n---\ntitle = .title\n');
+    build(dir);
+    assert.ok(await fs.pathExists(path.join(dir, 'public/zeta-film.html')));
+
+    await fs.outputFile(path.join(dir, 'content/zeta-film.md'), '---\ntitle: Zeta Film\n---\nWritten by hand\n');
+    const output = run(dir);
+    assert.match(output, /Slug collision: films\.mapping id:9: "zeta-film" is also used by content\/zeta-film\.md/);
+    assert.match(output, /(content\/zeta-film\.md and films\.mapping id:9|films\.mapping id:9 and content\/zeta-film\.md) both write zeta-film\.html/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('pages of other languages are built under their prefix and link their translations', async () => {
+  const dir = await createSite();
+  try {
+    await fs.outputFile(path.join(dir, 'site.config.js'), (await fs.readFile(path.join(dir, 'site.config.js'), 'utf-8')).replace("baseURL: 'https://example.com/',", "baseURL: 'https://example.com/',\n    languages: { ja: { name: '日本語', title: '私のブログ' } },"));
+    await fs.outputFile(path.join(dir, 'content/posts/second.ja.md'), '---\ntitle: 二番目\ndate: 2024-02-01\n---\nニ\n');
+    await fs.outputFile(path.join(dir, 'i18n/ja.json'), JSON.stringify({ next: '次へ' }));
+    build(dir);
+
+    const english = await fs.readFile(path.join(dir, 'public/posts/second.html'), 'utf-8');
+    const japanese = await fs.readFile(path.join(dir, 'public/ja/posts/second.html'), 'utf-8');
+    assert.match(english, /<link rel="alternate" hreflang="ja" href="https:\/\/example\.com\/ja\/posts\/second\.html">/);
+    assert.match(japanese, /<link rel="alternate" hreflang="en" href="https:\/\/example\.com\/posts\/second\.html">/);
+    assert.match(japanese, /二番目/);
+    assert.ok(await fs.pathExists(path.join(dir, 'public/ja/index.html')));
+    assert.doesNotMatch(await fs.readFile(path.join(dir, 'public/index.html'), 'utf-8'), /二番目/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseMapping, parsePath, resolvePath, applyMapping, loadMappings } = require('../dataMapping');
+
+const MOVIES = `# A comment
+data = "https://example.com/movies.csv"
+id = .["Wiki Page"]
+---
+title = .Title
+year = .["Release Year"]
+genres = .genres[].name
+---
+plot = .Plot
+`;
+
+test('parseMapping reads the header, front matter and body blocks', () => {
+  const mapping = parseMapping(MOVIES, 'movies.mapping');
+  assert.strictEqual(mapping.source, 'https://example.com/movies.csv');
+  assert.strictEqual(mapping.type, 'csv');
+  assert.deepStrictEqual(mapping.frontMatter.map(({ field }) => field), ['title', 'year', 'genres']);
+  assert.deepStrictEqual(mapping.body.map(({ field }) => field), ['plot']);
+
+  const row = { Title: 'Amélie', 'Release Year': '2001', 'Wiki Page': 'https://w/Amelie', Plot: 'A waitress.', genres: [{ name: 'Comedy' }, { name: 'Romance' }] };
+  assert.strictEqual(mapping.id.resolve(row), 'https://w/Amelie');
+  assert.deepStrictEqual(applyMapping(row, mapping), {
+    frontMatterData: { title: 'Amélie', year: '2001', genres: ['Comedy', 'Romance'] },
+    body: 'A waitress.'
+  });
+});
+
+test('parseMapping reports errors with the file name and line number', () => {
+  assert.throws(() => parseMapping('data = "a.csv"\nsource = x\n', 'a.mapping'), /^Error: a\.mapping:2: Unknown header "source"$/);
+  assert.throws(() => parseMapping('data = "a.csv"\n---\ntitle .Title\n', 'a.mapping'), /^Error: a\.mapping:3: Expected "name = value", got "title \.Title"$/);
+  assert.throws(() => parseMapping('data = "a.csv"\n---\n---\n---\n', 'a.mapping'), /^Error: a\.mapping:4: Too many "---" separators$/);
+  assert.throws(() => parseMapping('---\ntitle = .Title\n', 'a.mapping'), /^Error: a\.mapping: Missing "data = <url>" line$/);
+});
+
+test('parsePath and resolvePath follow keys, indexes and [] over arrays', () => {
+  assert.deepStrictEqual(parsePath('.a.b[0]["Some Key"][]'), ['a', 'b', 0, 'Some Key', '[]']);
+  assert.throws(() => parsePath('a.b'), /Path must start with "\."/);
+  assert.throws(() => parsePath('.a["b"'), /Unclosed "\["/);
+
+  const item = { a: { list: [{ id: 1 }, { id: 2 }] } };
+  assert.deepStrictEqual(resolvePath(item, parsePath('.a.list[].id')), [1, 2]);
+  assert.strictEqual(resolvePath(item, parsePath('.a.list[1].id')), 2);
+  assert.strictEqual(resolvePath(item, parsePath('.a.missing.id')), undefined);
+});
+
+test('loadMappings finds .mapping files and .html files in the sketch form', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-mappings-'));
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    await fs.writeFile(path.join(dir, 'movies.mapping'), MOVIES);
+    await fs.writeFile(path.join(dir, 'test.html'), 'data = "https://example.com/games.json"\n---\ntitle = .title\n---\nplot = .content1\n');
+    await fs.writeFile(path.join(dir, 'page.html'), '<html><body>data = 1</body></html>\n');
+
+    const mappings = await loadMappings(dir);
+    assert.deepStrictEqual(mappings.map(({ name, type }) => [name, type]).sort(), [['movies.mapping', 'csv'], ['test.html', 'json']]);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /test\.html uses the old \.html name, rename it to test\.mapping/);
+
+    const included = await loadMappings(dir, { exclude: ['test'] });
+    assert.deepStrictEqual(included.map(({ name }) => name), ['movies.mapping']);
+  } finally {
+    console.warn = warn;
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { getReader, inferType, readDataFile } = require('../dataReaders');
+const { parseMapping } = require('../dataMapping');
+
+// Function to run a test with a temporary directory for data files
+async function withDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-readers-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Function to read every item of a data file with the reader of its type
+async function readAll(file, mapping = null) {
+  const items = [];
+  for await (const item of await getReader(inferType(file)).read(file, mapping)) items.push(item);
+  return items;
+}
+
+test('the type is inferred from the extension, ignoring query strings', () => {
+  assert.strictEqual(inferType('https://example.com/movies.csv?raw=1'), 'csv');
+  assert.strictEqual(inferType('rows.jsonl'), 'ndjson');
+  assert.strictEqual(inferType('data.YML'), 'yaml');
+  assert.strictEqual(inferType('site.toml'), 'toml');
+  assert.strictEqual(inferType('films.sqlite3'), 'sqlite');
+  assert.strictEqual(inferType('https://example.com/api/movies'), 'json');
+  assert.throws(() => getReader('xml'), /Unsupported data type "xml"/);
+});
+
+test('CSV rows are read with quoted fields', async () => {
+  await withDir(async dir => {
+    const file = path.join(dir, 'movies.csv');
+    await fs.writeFile(file, 'Title,Cast\nAmélie,"Audrey Tautou, Mathieu Kassovitz"\nBrazil,Jonathan Pryce\n');
+    assert.deepStrictEqual(await readAll(file), [
+      { Title: 'Amélie', Cast: 'Audrey Tautou, Mathieu Kassovitz' },
+      { Title: 'Brazil', Cast: 'Jonathan Pryce' }
+    ]);
+  });
+});
+
+test('NDJSON is read line by line and reports the line of invalid JSON', async () => {
+  await withDir(async dir => {
+    const file = path.join(dir, 'rows.ndjson');
+    await fs.writeFile(file, '{"id":1}\n\n{"id":2}\n');
+    assert.deepStrictEqual(await readAll(file), [{ id: 1 }, { id: 2 }]);
+
+    await fs.writeFile(file, '{"id":1}\n{"id":\n');
+    await assert.rejects(readAll(file), /Invalid JSON on line 2/);
+  });
+});
+
+test('YAML and TOML documents are read whole, items picked by the mapping', async () => {
+  await withDir(async dir => {
+    const yamlFile = path.join(dir, 'games.yaml');
+    await fs.writeFile(yamlFile, 'games:\n  - title: Celeste\n    year: 2018\n  - title: Hades\n    year: 2020\n');
+    const mapping = parseMapping('data = "games.yaml"\nitems = .games\n---\ntitle = .title\n');
+    assert.deepStrictEqual(await readAll(yamlFile, mapping), [{ title: 'Celeste', year: 2018 }, { title: 'Hades', year: 2020 }]);
+
+    const documents = path.join(dir, 'posts.yml');
+    await fs.writeFile(documents, 'title: One\n---\ntitle: Two\n');
+    assert.deepStrictEqual(await readAll(documents), [{ title: 'One' }, { title: 'Two' }]);
+
+    const tomlFile = path.join(dir, 'movies.toml');
+    await fs.writeFile(tomlFile, 'site = "x"\n\n[[movies]]\ntitle = "Amélie"\nyear = 2001\n\n[[movies]]\ntitle = "Brazil"\nyear = 1985\n');
+    const tomlMapping = parseMapping('data = "movies.toml"\nitems = .movies\n---\ntitle = .title\n');
+    assert.deepStrictEqual((await readAll(tomlFile, tomlMapping)).map(movie => movie.title), ['Amélie', 'Brazil']);
+    assert.deepEqual(await readDataFile(tomlFile), { site: 'x', movies: [{ title: 'Amélie', year: 2001 }, { title: 'Brazil', year: 1985 }] });
+  });
+});
+
+test('SQLite tables are read whole, or through the mapping query', async () => {
+  await withDir(async dir => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run("CREATE TABLE films (id INTEGER, title TEXT); INSERT INTO films VALUES (1, 'Amélie'), (2, 'Brazil');");
+    const file = path.join(dir, 'films.sqlite');
+    await fs.writeFile(file, Buffer.from(db.export()));
+
+    assert.deepStrictEqual(await readAll(file), [{ id: 1, title: 'Amélie' }, { id: 2, title: 'Brazil' }]);
+    const mapping = parseMapping('data = "films.sqlite"\nquery = SELECT title FROM films WHERE id > 1\n---\ntitle = .title\n');
+    assert.deepStrictEqual(await readAll(file, mapping), [{ title: 'Brazil' }]);
+
+    db.run('CREATE TABLE people (name TEXT)');
+    await fs.writeFile(file, Buffer.from(db.export()));
+    db.close();
+    await assert.rejects(readAll(file), /Database has 2 tables \(films, people\); add a "query = SELECT \.\.\." line/);
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderRss, renderAtom, renderSitemap, chunkSitemapEntries } = require('../feeds');
+
+const feed = items => ({
+  title: 'My <Blog>',
+  link: 'https://example.com/',
+  feedURL: 'https://example.com/atom.xml',
+  language: 'en',
+  items
+});
+
+test('the feed date is the newest item date', () => {
+  const items = [
+    { title: 'Old', url: 'https://example.com/old.html', date: '2024-01-01T00:00:00.000Z', summary: 'a' },
+    { title: 'New', url: 'https://example.com/new.html', date: '2024-03-01T00:00:00.000Z', updated: '2024-04-01T00:00:00.000Z', summary: 'b' }
+  ];
+  assert.match(renderAtom(feed(items)), /<\/id>\n {2}<updated>2024-04-01T00:00:00\.000Z<\/updated>/);
+  assert.match(renderRss(feed(items)), /<lastBuildDate>Mon, 01 Apr 2024 00:00:00 GMT<\/lastBuildDate>/);
+});
+
+test('feeds without dated items use the newest source change and render the same every time', async () => {
+  const items = [
+    { title: 'A', url: 'https://example.com/a.html', modified: '2024-05-02T10:00:00.000Z', summary: 'a' },
+    { title: 'B', url: 'https://example.com/b.html', modified: '2024-05-01T10:00:00.000Z', summary: 'b' }
+  ];
+  const atom = renderAtom(feed(items));
+  const rss = renderRss(feed(items));
+  assert.match(atom, /<\/id>\n {2}<updated>2024-05-02T10:00:00\.000Z<\/updated>/);
+  assert.match(atom, /<id>https:\/\/example\.com\/b\.html<\/id>\n {4}<updated>2024-05-01T10:00:00\.000Z<\/updated>/);
+  assert.match(rss, /<lastBuildDate>Thu, 02 May 2024 10:00:00 GMT<\/lastBuildDate>/);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual(renderAtom(feed(items)), atom);
+  assert.strictEqual(renderRss(feed(items)), rss);
+
+  const empty = { ...feed([]), updated: '2024-06-01T00:00:00.000Z' };
+  assert.match(renderAtom(empty), /<updated>2024-06-01T00:00:00\.000Z<\/updated>/);
+  assert.strictEqual(renderAtom(feed([])), renderAtom(feed([])));
+});
+
+test('feed and sitemap text is escaped', () => {
+  const atom = renderAtom(feed([{ title: 'Tom & Jerry', url: 'https://example.com/?a=1&b=2', summary: '<p>x</p>' }]));
+  assert.match(atom, /<title>My &lt;Blog&gt;<\/title>/);
+  assert.match(atom, /<title>Tom &amp; Jerry<\/title>/);
+  assert.match(atom, /<summary type="html">&lt;p&gt;x&lt;\/p&gt;<\/summary>/);
+  assert.match(renderRss(feed([{ title: 'x', url: 'https://example.com/x', content: 'a ]]> b' }])), /<!\[CDATA\[a ]]]]><!\[CDATA\[> b]]>/);
+  assert.match(renderSitemap([{ url: 'https://example.com/a&b/', lastmod: '2024-01-01' }]), /<loc>https:\/\/example\.com\/a&amp;b\/<\/loc>\n {4}<lastmod>2024-01-01T00:00:00\.000Z<\/lastmod>/);
+});
+
+test('sitemap entries are split at the URL limit', () => {
+  assert.deepStrictEqual(chunkSitemapEntries([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.deepStrictEqual(chunkSitemapEntries([], 2), [[]]);
+});
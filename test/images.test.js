@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { defaultConfig } = require('../siteConfig');
+const { createSlugger } = require('../slugger');
+const { createMarkdownRenderer } = require('../markdown');
+const { createImageProcessor } = require('../images');
+
+// Function to create a markdown renderer with image processing over an empty site
+async function createRenderer() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-images-'));
+  const config = { ...defaultConfig, basePath: '/', images: { ...defaultConfig.images, cacheDir: path.join(dir, 'cache') } };
+  const images = createImageProcessor(config, { contentDir: path.join(dir, 'content'), staticDir: path.join(dir, 'static') });
+  const markdown = createMarkdownRenderer(config.markdown, { slugify: createSlugger(config.slug), renderShortcode: null, renderImage: images.render });
+  return { dir, markdown };
+}
+
+test('an image path that is not valid percent-encoding renders as a missing image', async () => {
+  const { dir, markdown } = await createRenderer();
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const { html, images } = await markdown.render('![x](100%.png)', { file: 'post.md' });
+    assert.match(html, /<img src="100%\.png" alt="x" loading="lazy">/);
+    assert.deepStrictEqual(images, []);
+    assert.deepStrictEqual(warnings, ['Image not found: 100%.png (in post.md)']);
+  } finally {
+    console.warn = warn;
+    await fs.remove(dir);
+  }
+});
+
+test('an image path with nothing before its query renders as a missing image', async () => {
+  const { dir, markdown } = await createRenderer();
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const { html } = await markdown.render('![x](?size=2)', { file: 'post.md' });
+    assert.match(html, /<img src="\?size&#61;2" alt="x" loading="lazy">/);
+    assert.deepStrictEqual(warnings, ['Image not found: ?size=2 (in post.md)']);
+  } finally {
+    console.warn = warn;
+    await fs.remove(dir);
+  }
+});
+
+test('image paths that lead out of content/ and static/ render as missing images', async () => {
+  const { dir, markdown } = await createRenderer();
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    await fs.outputFile(path.join(dir, 'secret.png'), 'not published');
+    for (const href of ['../secret.png', '../../secret.png', '/../secret.png', '/%2e%2e/secret.png']) {
+      const { html, images } = await markdown.render(`![x](${href})`, { file: 'posts/post.md' });
+      assert.match(html, /^<p><img src="[^"]+" alt="x" loading="lazy"><\/p>\n$/, href);
+      assert.deepStrictEqual(images, [], href);
+    }
+    assert.strictEqual(warnings.length, 4);
+    assert.ok(warnings.every(message => message.startsWith('Image not found: ')));
+  } finally {
+    console.warn = warn;
+    await fs.remove(dir);
+  }
+});
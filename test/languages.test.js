@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadLanguages, splitLanguage, languageTaxonomy, loadTranslations, translate } = require('../languages');
+const { pageSlug } = require('../pagePaths');
+const { createSlugger } = require('../slugger');
+
+const config = {
+  title: 'My Blog',
+  description: 'Posts',
+  language: 'en',
+  languages: { ja: { name: '日本語', title: '私のブログ', weight: 1 }, fr: { name: 'Français', weight: 2 }, 'bad code': {} }
+};
+
+test('languages list the default first, then by weight, with their prefixes', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const languages = loadLanguages(config);
+    assert.deepStrictEqual(languages.map(({ code, prefix, title }) => [code, prefix, title]), [
+      ['en', '', 'My Blog'],
+      ['ja', 'ja/', '私のブログ'],
+      ['fr', 'fr/', 'My Blog']
+    ]);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Language "bad code" skipped/);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepStrictEqual(loadLanguages({ language: 'en', languages: { en: {}, ja: false } }).map(({ code }) => code), ['en']);
+});
+
+test('the language of a content file comes from its suffix or its first directory', () => {
+  const languages = loadLanguages({ ...config, languages: { ja: {} } });
+  assert.deepStrictEqual(splitLanguage('posts/hello.ja.md', languages), { language: 'ja', file: 'posts/hello.md' });
+  assert.deepStrictEqual(splitLanguage('ja/posts/hello.md', languages), { language: 'ja', file: 'posts/hello.md' });
+  assert.deepStrictEqual(splitLanguage('posts/hello.md', languages), { language: 'en', file: 'posts/hello.md' });
+  assert.deepStrictEqual(splitLanguage('posts/v1.2.md', languages), { language: 'en', file: 'posts/v1.2.md' });
+  assert.deepStrictEqual(splitLanguage('japan/hello.md', languages), { language: 'en', file: 'japan/hello.md' });
+
+  const slugify = createSlugger();
+  assert.strictEqual(pageSlug('posts/Hello.ja.md', {}, languages, slugify), 'ja/posts/hello');
+  assert.strictEqual(pageSlug('ja/posts/hello.md', { slug: 'Konnichiwa' }, languages, slugify), 'ja/posts/konnichiwa');
+  assert.deepStrictEqual(languageTaxonomy({ name: 'tags', url: 'tags/:slug/' }, languages[1]), { name: 'tags', url: 'ja/tags/:slug/' });
+});
+
+test('translations fall back to the default language and fill in arguments', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-i18n-'));
+  try {
+    const languages = loadLanguages({ ...config, languages: { ja: {}, fr: {} } });
+    await fs.writeJson(path.join(dir, 'en.json'), { next: 'Next', pageOf: 'Page {0} of {1}', nav: { home: 'Home' } });
+    await fs.writeJson(path.join(dir, 'ja.json'), { next: '次へ' });
+    const translations = await loadTranslations(dir, languages);
+    assert.deepStrictEqual(Object.keys(translations).sort(), ['en', 'ja']);
+
+    assert.strictEqual(translate(translations, languages, 'ja', 'next'), '次へ');
+    assert.strictEqual(translate(translations, languages, 'ja', 'pageOf', [2, 5]), 'Page 2 of 5');
+    assert.strictEqual(translate(translations, languages, 'fr', 'nav.home'), 'Home');
+    assert.strictEqual(translate(translations, languages, 'en', 'pageOf', [1]), 'Page 1 of {1}');
+    assert.strictEqual(translate(translations, languages, 'en', 'nav'), undefined);
+    assert.strictEqual(translate(translations, languages, 'en', 'missing'), undefined);
+
+    await fs.writeFile(path.join(dir, 'fr.json'), '{ broken');
+    await assert.rejects(loadTranslations(dir, languages), /fr\.json: /);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMarkdownRenderer } = require('../markdown');
+const { createSlugger } = require('../slugger');
+
+const OPTIONS = { highlight: true, anchors: true, tocLevels: [2, 3], footnotes: true };
+
+// Function to create a renderer whose shortcodes print their name and arguments
+function createRenderer(options = OPTIONS) {
+  const renderShortcode = async (name, { args, params, inner }) => `<${name} args="${args.join(',')}" params='${JSON.stringify(params)}'>${inner || ''}</${name}>`;
+  return createMarkdownRenderer(options, { slugify: createSlugger(), renderShortcode });
+}
+
+test('headings get unique ids, anchors and a table of contents', async () => {
+  const { html, toc } = await createRenderer().render('## Über uns\n\n### Team {#crew}\n\n#### Deep\n\n## Über uns\n');
+  assert.match(html, /<h2 id="uber-uns">Über uns<a class="heading-anchor" href="#uber-uns" aria-label="Link to this section"><\/a><\/h2>/);
+  assert.match(html, /<h3 id="crew">Team<a class="heading-anchor" href="#crew"/);
+  assert.match(html, /<h2 id="uber-uns-1">/);
+  assert.strictEqual(toc, '<nav class="toc"><ul><li><a href="#uber-uns">Über uns</a><ul><li><a href="#crew">Team</a></li></ul></li><li><a href="#uber-uns-1">Über uns</a></li></ul></nav>');
+
+  const plain = await createRenderer({ ...OPTIONS, anchors: false }).render('## Title\n');
+  assert.strictEqual(plain.html, '<h2 id="title">Title</h2>\n');
+});
+
+test('fenced code blocks that name their language are highlighted', async () => {
+  const { html } = await createRenderer().render('```json\n{"a": 1}\n```\n\n```\n<b>as is</b>\n```\n');
+  assert.match(html, /<pre><code class="hljs language-json"><span class="hljs-punctuation">\{<\/span><span class="hljs-attr">&quot;a&quot;<\/span>/);
+  assert.match(html, /<pre><code>&lt;b&gt;as is&lt;\/b&gt;\n<\/code><\/pre>/);
+});
+
+test('footnotes are numbered in order of reference; undefined ones stay as written', async () => {
+  const { html } = await createRenderer().render('One[^z] two[^a] three[^missing].\n\n[^a]: First.\n[^z]: Second.\n');
+  assert.match(html, /One<sup class="footnote-ref"><a href="#fn-z" id="fnref-z">1<\/a><\/sup> two<sup class="footnote-ref"><a href="#fn-a" id="fnref-a">2<\/a><\/sup> three\[\^missing\]\./);
+  assert.match(html, /<section class="footnotes">\n<ol>\n<li id="fn-z">Second\. <a href="#fnref-z"[^>]*>&#8617;<\/a><\/li>\n<li id="fn-a">First\./);
+
+  const disabled = await createRenderer({ ...OPTIONS, footnotes: false }).render('One[^a].\n\n[^a]: Note.\n');
+  assert.doesNotMatch(disabled.html, /footnote/);
+});
+
+test('shortcodes get their arguments and inner content; escaped ones stay as text', async () => {
+  const { html } = await createRenderer().render('{{< youtube abc title="Hi there" >}}\n\n{{< note >}}Some *text*{{< /note >}}\n\n{{</* youtube x */>}}\n');
+  assert.match(html, /<youtube args="abc" params='\{"title":"Hi there"\}'><\/youtube>/);
+  assert.match(html, /<note args="" params='\{\}'>Some \*text\*<\/note>/);
+  assert.match(html, /<p>\{\{&lt; youtube x &gt;\}\}<\/p>/);
+});
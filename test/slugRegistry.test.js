@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadSlugRegistry, saveSlugRegistry, rowKey, assignSlugs, findRemovedRows, releaseRows } = require('../slugRegistry');
+const { createSlugger } = require('../slugger');
+const { loadLanguages } = require('../languages');
+
+const slugify = createSlugger();
+const site = { languages: loadLanguages({ language: 'en' }), slugify };
+
+// Function to run a test in a temporary site with a content directory
+async function withSite(files, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ssg-slugs-'));
+  try {
+    for (const [file, text] of Object.entries(files)) {
+      await fs.outputFile(path.join(dir, 'content', file), text);
+    }
+    await run({ contentDir: path.join(dir, 'content'), registryFile: path.join(dir, 'slugs.json') });
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Function to load the registry of a temporary site
+const load = ({ contentDir, registryFile }) => loadSlugRegistry(registryFile, contentDir, [], site);
+
+test('rowKey uses the id column when there is one, else a hash of the row', () => {
+  assert.strictEqual(rowKey({ id: 7, title: 'A' }, row => row.id), 'id:7');
+  assert.match(rowKey({ title: 'A' }, row => row.id), /^hash:[0-9a-f]{40}$/);
+  assert.strictEqual(rowKey({ title: 'A' }), rowKey({ title: 'A' }));
+});
+
+test('slugs stay the same across re-imports, even when rows are reordered or renamed', async () => {
+  await withSite({}, async paths => {
+    const first = await load(paths);
+    assert.deepStrictEqual(assignSlugs(first, 'movies', [{ key: 'id:1', baseSlug: 'amelie' }, { key: 'id:2', baseSlug: 'amelie' }]), ['amelie', 'amelie-1']);
+    await saveSlugRegistry(first);
+
+    const second = await load(paths);
+    assert.deepStrictEqual(assignSlugs(second, 'movies', [
+      { key: 'id:2', baseSlug: 'amelie' },
+      { key: 'id:1', baseSlug: 'amelie-poulain' },
+      { key: 'id:3', baseSlug: 'brazil' }
+    ]), ['amelie-1', 'amelie', 'brazil']);
+    assert.deepStrictEqual(second.collisions, []);
+  });
+});
+
+test('an edited row keyed by its hash keeps the slug of the row it replaced', async () => {
+  await withSite({}, async paths => {
+    const registry = await load(paths);
+    assignSlugs(registry, 'movies', [{ key: rowKey({ title: 'Brazil' }), baseSlug: 'brazil' }]);
+    assert.deepStrictEqual(assignSlugs(registry, 'movies', [{ key: rowKey({ title: 'Brazil', year: 1985 }), baseSlug: 'brazil' }]), ['brazil']);
+    assert.deepStrictEqual(findRemovedRows(registry, 'movies'), []);
+  });
+});
+
+test('new rows never take a slug of another source or a hand-written page', async () => {
+  const files = {
+    'first.md': '---\ntitle: First\nslug: "First Post"\n---\n',
+    'about.md': '---\ntitle: About\n---\n',
+    'posts/news.md': '---\ntitle: News\n---\n',
+    'drafts/untitled.md': 'No front matter\n'
+  };
+  await withSite(files, async paths => {
+    const registry = await load(paths);
+    assert.deepStrictEqual(Array.from(registry.handWritten.keys()).sort(), ['about', 'first-post', 'posts/news']);
+
+    assignSlugs(registry, 'books', [{ key: 'id:1', baseSlug: 'news' }]);
+    assert.deepStrictEqual(assignSlugs(registry, 'movies', [
+      { key: 'id:1', baseSlug: 'first-post' },
+      { key: 'id:2', baseSlug: 'about' },
+      { key: 'id:3', baseSlug: 'news' }
+    ]), ['first-post-1', 'about-1', 'news-1']);
+    assert.deepStrictEqual(registry.collisions, [
+      `movies id:1: "first-post" is taken by ${paths.contentDir}/first.md, using "first-post-1"`,
+      `movies id:2: "about" is taken by ${paths.contentDir}/about.md, using "about-1"`,
+      'movies id:3: "news" is taken by books id:1, using "news-1"'
+    ]);
+  });
+});
+
+test('a hand-written page added after a row took its slug is reported', async () => {
+  await withSite({}, async paths => {
+    const first = await load(paths);
+    assignSlugs(first, 'movies', [{ key: 'id:9', baseSlug: 'zeta-film' }]);
+    await saveSlugRegistry(first);
+
+    await fs.outputFile(path.join(paths.contentDir, 'zeta-film.md'), '---\ntitle: Zeta Film\n---\n');
+    const second = await load(paths);
+    assert.deepStrictEqual(assignSlugs(second, 'movies', [{ key: 'id:9', baseSlug: 'zeta-film' }]), ['zeta-film']);
+    assert.deepStrictEqual(second.collisions, [
+      `movies id:9: "zeta-film" is also used by ${paths.contentDir}/zeta-film.md; give one of them a different slug`
+    ]);
+  });
+});
+
+test('duplicate row keys and removed rows', async () => {
+  await withSite({}, async paths => {
+    const registry = await load(paths);
+    assert.deepStrictEqual(assignSlugs(registry, 'movies', [{ key: 'id:1', baseSlug: 'a' }, { key: 'id:1', baseSlug: 'b' }]), ['a', 'b']);
+    assert.deepStrictEqual(registry.collisions, ['movies: duplicate row key id:1, stored as id:1#2']);
+
+    assignSlugs(registry, 'movies', [{ key: 'id:1', baseSlug: 'a' }]);
+    assert.deepStrictEqual(findRemovedRows(registry, 'movies'), [{ key: 'id:1#2', slug: 'b' }]);
+    releaseRows(registry, 'movies', ['id:1#2']);
+    assert.deepStrictEqual(assignSlugs(registry, 'books', [{ key: 'id:5', baseSlug: 'b' }]), ['b']);
+  });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSlugger } = require('../slugger');
+const { render } = require('../templateEngine');
+
+test('accents are dropped and charmap letters transliterated', () => {
+  const slugify = createSlugger();
+  assert.strictEqual(slugify('Amélie'), 'amelie');
+  assert.strictEqual(slugify('Crème Brûlée!'), 'creme-brulee');
+  assert.strictEqual(slugify('Ærøskøbing'), 'aeroskobing');
+  assert.strictEqual(slugify('Борщ'), 'borsh');
+  assert.strictEqual(slugify('Ωmega Δelta'), 'wmega-delta');
+  assert.strictEqual(slugify('Tom & Jerry'), 'tom-and-jerry');
+});
+
+test('letters without a transliteration are kept', () => {
+  const slugify = createSlugger();
+  assert.strictEqual(slugify('千と千尋の神隠し'), '千と千尋の神隠し');
+  assert.strictEqual(slugify('  안녕 2 · 세상 '), '안녕-2-세상');
+  assert.strictEqual(slugify('???'), '');
+  assert.strictEqual(slugify(null), '');
+});
+
+test('slug settings: locale, charmap, separator and maxLength', () => {
+  assert.strictEqual(createSlugger({ locale: 'de' })('Über & Unter'), 'ueber-und-unter');
+  assert.strictEqual(createSlugger({ locale: 'de-AT' })('Äpfel'), 'aepfel');
+  assert.strictEqual(createSlugger({ charmap: { '♥': 'love' } })('I ♥ NY'), 'i-love-ny');
+  assert.strictEqual(createSlugger({ separator: '_' })('Hello World'), 'hello_world');
+  assert.strictEqual(createSlugger({ maxLength: 7 })('Hello World'), 'hello-w');
+  assert.strictEqual(createSlugger({ maxLength: 6 })('Hello World'), 'hello');
+});
+
+test('the slugify template filter uses the shared slugger', async () => {
+  const slugify = createSlugger();
+  for (const title of ['Amélie', '千と千尋の神隠し', 'Tom & Jerry']) {
+    assert.strictEqual(await render('{{ title | slugify }}', { title }), slugify(title));
+  }
+});
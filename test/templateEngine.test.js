@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { render, TemplateError } = require('../templateEngine');
+
+test('dotted paths, this, ../ and @root look values up through the scopes', async () => {
+  const context = { title: 'Site', page: { title: 'Post', author: { name: 'Ann' } } };
+  assert.strictEqual(await render('{{ page.title }} by {{ page.author.name }}', context), 'Post by Ann');
+  assert.strictEqual(await render('{{#with page}}{{ title }}/{{ ../title }}/{{ @root.title }}{{/with}}', context), 'Post/Site/Site');
+  assert.strictEqual(await render('[{{ page.missing.name }}]', context), '[]');
+});
+
+test('nested if blocks pick the right else branch', async () => {
+  const template = '{{#if a}}{{#if b}}ab{{else}}a{{/if}}{{else if c}}c{{else}}none{{/if}}';
+  assert.strictEqual(await render(template, { a: true, b: true }), 'ab');
+  assert.strictEqual(await render(template, { a: true, b: false }), 'a');
+  assert.strictEqual(await render(template, { a: false, c: 1 }), 'c');
+  assert.strictEqual(await render(template, {}), 'none');
+  assert.strictEqual(await render('{{#unless a}}no{{else}}yes{{/unless}}', { a: [] }), 'no');
+});
+
+test('each exposes @index, @first, @last and @key, and renders else for empty lists', async () => {
+  const template = '{{#each items}}{{#if @first}}[{{/if}}{{ @index }}:{{ this }}{{#unless @last}}, {{/unless}}{{#if @last}}]{{/if}}{{else}}empty{{/each}}';
+  assert.strictEqual(await render(template, { items: ['a', 'b', 'c'] }), '[0:a, 1:b, 2:c]');
+  assert.strictEqual(await render(template, { items: ['x'] }), '[0:x]');
+  assert.strictEqual(await render(template, { items: [] }), 'empty');
+  assert.strictEqual(await render('{{#each tags}}{{ @key }}={{ this }};{{/each}}', { tags: { a: 1, b: 2 } }), 'a=1;b=2;');
+  assert.strictEqual(
+    await render('{{#each posts}}{{#each tags}}{{ ../title }}-{{ this }}{{#unless @last}},{{/unless}}{{/each}};{{/each}}', { posts: [{ title: 'p1', tags: ['x', 'y'] }, { title: 'p2', tags: ['z'] }] }),
+    'p1-x,p1-y;p2-z;'
+  );
+});
+
+test('filters take arguments', async () => {
+  const context = { date: '2024-03-05', title: 'Hello World', tags: ['a', 'b'], empty: '' };
+  assert.strictEqual(await render('{{ date | date: "%B %d, %Y" }}', context), 'March 05, 2024');
+  assert.strictEqual(await render('{{ title | upcase }}', context), 'HELLO WORLD');
+  assert.strictEqual(await render('{{ title | truncate: 8 }}', context), 'Hello...');
+  assert.strictEqual(await render('{{ tags | join: " / " }}', context), 'a / b');
+  assert.strictEqual(await render('{{ empty | default: "n/a" }}', context), 'n/a');
+});
+
+test('syntax errors name the template and line', async () => {
+  await assert.rejects(render('line one\n{{#if a}}\nunclosed', {}, { name: 'page.html' }), error => {
+    assert.ok(error instanceof TemplateError);
+    assert.strictEqual(error.templateName, 'page.html');
+    assert.strictEqual(error.line, 2);
+    return true;
+  });
+  await assert.rejects(render('{{/each}}', {}, { name: 'list.html' }), /^TemplateError: list\.html:1: /);
+});
+
+test('output is escaped unless it is triple-stashed or passed through raw', async () => {
+  const context = { html: '<b>"Tom" & \'Jerry\'</b>' };
+  assert.strictEqual(await render('{{ html }}', context), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  assert.strictEqual(await render('{{{ html }}}', context), context.html);
+  assert.strictEqual(await render('{{ html | raw }}', context), context.html);
+  assert.strictEqual(await render('<a title="{{ title }}">', { title: '" onmouseover="x' }), '<a title="&quot; onmouseover&#61;&quot;x">');
+});
+
+test('filter chains apply in order and keep escaping', async () => {
+  const context = { html: '<p>Hello <em>World</em></p>', title: 'a & b' };
+  assert.strictEqual(await render('{{ html | striptags | upcase }}', context), 'HELLO WORLD');
+  assert.strictEqual(await render('{{ html | striptags | truncate: 8 | upcase }}', context), 'HELLO...');
+  assert.strictEqual(await render('{{ title | upcase | escape }}', context), 'A &amp; B');
+  assert.strictEqual(await render('{{{ title | escape }}}', context), 'a &amp; b');
+  assert.strictEqual(await render('{{ html | raw | upcase }}', context), '&lt;P&gt;HELLO &lt;EM&gt;WORLD&lt;/EM&gt;&lt;/P&gt;');
+});
@@ -0,0 +1,110 @@
+const { Worker } = require('worker_threads');
+
+// A small pool of worker threads running one script. Tasks are { type, payload } messages
+// answered with { id, result } or { id, error }; the script decides what each type does
+// (see renderWorker.js). Tasks wait in one queue and go to whichever worker is idle.
+// Payloads and results must be plain data, as they are copied between threads.
+
+// Function to create a pool of `size` workers running `script`, each started with workerData
+// Returns { size, run(type, payload), runOnAll(type, payload), close() }
+function createWorkerPool(script, size, workerData) {
+  const queue = [];
+  const workers = [];
+  let nextId = 0;
+  let closed = false;
+
+  // Function to send a task to a worker; the worker answers tasks in the order it receives them
+  function send(slot, task) {
+    const id = nextId++;
+    slot.pending.set(id, task);
+    slot.worker.postMessage({ id, type: task.type, payload: task.payload });
+  }
+
+  // Function to hand queued tasks to idle workers
+  function dispatch() {
+    for (const slot of workers) {
+      if (queue.length === 0) return;
+      if (slot.pending.size === 0) send(slot, queue.shift());
+    }
+  }
+
+  // Function to drop a worker that crashed, failing its tasks (and the queue once no worker is left)
+  function fail(slot, error) {
+    const index = workers.indexOf(slot);
+    if (index === -1) return;
+    workers.splice(index, 1);
+
+    slot.pending.forEach(task => task.reject(error));
+    slot.pending.clear();
+    if (workers.length === 0) {
+      queue.splice(0).forEach(task => task.reject(error));
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    const slot = { worker: new Worker(script, { workerData }), pending: new Map() };
+
+    slot.worker.on('message', ({ id, result, error }) => {
+      const task = slot.pending.get(id);
+      if (!task) return;
+      slot.pending.delete(id);
+
+      if (error) {
+        task.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+      } else {
+        task.resolve(result);
+      }
+      dispatch();
+    });
+    slot.worker.on('error', error => fail(slot, error));
+    slot.worker.on('exit', code => {
+      if (!closed) fail(slot, new Error(`Worker stopped unexpectedly (exit code ${code})`));
+    });
+
+    workers.push(slot);
+  }
+
+  // Function to run one task on the next idle worker
+  function run(type, payload) {
+    return new Promise((resolve, reject) => {
+      if (workers.length === 0) {
+        reject(new Error('No workers left in the pool'));
+        return;
+      }
+      queue.push({ type, payload, resolve, reject });
+      dispatch();
+    });
+  }
+
+  // Function to run a task on every worker, e.g. to share data needed by later tasks
+  function runOnAll(type, payload) {
+    return Promise.all(workers.map(slot => new Promise((resolve, reject) => {
+      send(slot, { type, payload, resolve, reject });
+    })));
+  }
+
+  // Function to stop every worker
+  async function close() {
+    closed = true;
+    await Promise.all(workers.splice(0).map(slot => slot.worker.terminate()));
+  }
+
+  return { size, run, runOnAll, close };
+}
+
+// Function to create a pool with the same interface that runs the task handlers on the
+// calling thread, for small builds and machines with a single core
+function createInlinePool(handlers) {
+  const run = async (type, payload) => handlers[type](payload);
+  return {
+    size: 0,
+    run,
+    runOnAll: async (type, payload) => [await run(type, payload)],
+    close: async () => {}
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+  createInlinePool,
+};